@@ -0,0 +1,28 @@
+// Picks the attachment backend from ATTACHMENT_STORAGE, defaulting to the
+// STORAGE_PROVIDER in use. `local` writes to ATTACHMENT_DIR; `firebase` uses
+// the Cloud Storage bucket FIREBASE_STORAGE_BUCKET, connected on first use.
+const STORES = {
+  firebase: () => {
+    const FirebaseAttachmentStore = require('./firebaseAttachmentStore');
+    return new FirebaseAttachmentStore({
+      bucketName: process.env.FIREBASE_STORAGE_BUCKET
+    });
+  },
+  local: () => {
+    const LocalAttachmentStore = require('./localAttachmentStore');
+    return new LocalAttachmentStore();
+  }
+};
+
+const createAttachmentStore = (
+  storeName = process.env.ATTACHMENT_STORAGE || process.env.STORAGE_PROVIDER || 'firebase'
+) => {
+  const create = STORES[storeName.toLowerCase()];
+  if (!create) {
+    throw new Error(`Unknown ATTACHMENT_STORAGE "${storeName}"`);
+  }
+
+  return create();
+};
+
+module.exports = createAttachmentStore();
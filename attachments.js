@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { ERROR_CODES, ProtocolError } = require('./protocol');
+
+// Upload tokens, per-channel attachment rules and the attachment shape sent on
+// chat payloads.
+//
+// An upload token is base64url JSON claims plus an HMAC-SHA256 signature with
+// ATTACHMENT_TOKEN_SECRET, so any instance can accept the upload. Without the
+// variable a random per-process secret is used.
+const MAX_ATTACHMENT_BYTES = Number(process.env.MAX_ATTACHMENT_BYTES) || 10 * 1024 * 1024; // 10 MB
+const DEFAULT_ATTACHMENT_TYPES = ['image/*', 'application/pdf', 'text/plain'];
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const UPLOAD_TOKEN_TTL_MS = 5 * 60000; // 5 minutes
+// Types a browser could run as a page are always served as downloads
+const INLINE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+const tokenSecret = process.env.ATTACHMENT_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signUploadClaims = (encodedClaims) =>
+  crypto.createHmac('sha256', tokenSecret).update(encodedClaims).digest('base64url');
+
+const createUploadToken = (claims) => {
+  const encoded = Buffer.from(JSON.stringify(claims), 'utf8').toString('base64url');
+  return `${encoded}.${signUploadClaims(encoded)}`;
+};
+
+// Returns the claims of a valid, unexpired token, otherwise null
+const verifyUploadToken = (token) => {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) {
+    return null;
+  }
+
+  // Compared as decoded bytes: timingSafeEqual throws on buffers of
+  // different lengths
+  const presented = Buffer.from(signature, 'base64url');
+  const expected = Buffer.from(signUploadClaims(encoded), 'base64url');
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    return null;
+  }
+
+  const claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  return claims.exp > Date.now() ? claims : null;
+};
+
+const normalizeContentType = (contentType) =>
+  String(contentType || '').split(';')[0].trim().toLowerCase();
+
+const getChannelAttachmentRules = (channelDef) => {
+  const rules = channelDef?.rules || {};
+  const maxBytes = Number(rules.maxAttachmentBytes);
+  return {
+    maxBytes: maxBytes > 0 ? Math.min(maxBytes, MAX_ATTACHMENT_BYTES) : MAX_ATTACHMENT_BYTES,
+    allowedTypes: Array.isArray(rules.allowedAttachmentTypes)
+      ? rules.allowedAttachmentTypes.map(normalizeContentType)
+      : DEFAULT_ATTACHMENT_TYPES
+  };
+};
+
+const isTypeAllowed = (contentType, allowedTypes) =>
+  allowedTypes.some((pattern) =>
+    pattern.endsWith('/*')
+      ? contentType.startsWith(pattern.slice(0, -1))
+      : contentType === pattern
+  );
+
+// Throws when the channel does not accept a file of this type and size
+const checkAttachmentRules = (channelDef, { contentType, size }) => {
+  const rules = getChannelAttachmentRules(channelDef);
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Attachment size must be a positive integer');
+  }
+
+  if (size > rules.maxBytes) {
+    throw new ProtocolError(ERROR_CODES.TOO_LARGE, `Attachments in this channel are limited to ${rules.maxBytes} bytes`);
+  }
+
+  if (!isTypeAllowed(normalizeContentType(contentType), rules.allowedTypes)) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'This file type is not allowed in this channel');
+  }
+};
+
+// Keeps the base name and drops control characters and path separators
+const sanitizeFileName = (fileName) => {
+  const cleaned = String(fileName || '')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .split(/[\\/]/)
+    .pop()
+    .trim();
+  return cleaned || 'attachment';
+};
+
+const toAttachmentPayload = (metadata) => ({
+  id: metadata.id,
+  fileName: metadata.fileName,
+  contentType: metadata.contentType,
+  size: metadata.size,
+  url: `/api/attachments/${metadata.id}`
+});
+
+const getContentDisposition = (metadata) => {
+  const disposition = INLINE_TYPES.has(metadata.contentType) ? 'inline' : 'attachment';
+  const asciiName = metadata.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(metadata.fileName)}`;
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  UPLOAD_TOKEN_TTL_MS,
+  createUploadToken,
+  verifyUploadToken,
+  normalizeContentType,
+  checkAttachmentRules,
+  sanitizeFileName,
+  toAttachmentPayload,
+  getContentDisposition
+};
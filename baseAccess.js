@@ -0,0 +1,304 @@
+const EventEmitter = require('events');
+const { isDirectConversationId, toDirectChannelDef } = require('./directMessages');
+
+// Common base for storage/auth providers. Subclasses implement token
+// verification, channel config loading/watching, user profiles, chat and
+// call history persistence; the channel cache and the `channels-updated` event live here.
+// Direct-message conversations go through the same chat methods with their
+// conversation ID as channelId; providers store them apart from channels.
+class BaseAccess extends EventEmitter {
+  constructor() {
+    super();
+    this.channelCache = new Map();
+    this.roleDefinitions = {};
+    this.pendingWrites = new Set();
+  }
+
+  // With checkRevoked, tokens revoked since they were issued and tokens of
+  // disabled accounts are rejected too.
+  verifyIdToken(token, checkRevoked = false) {
+    throw new Error(`${this.constructor.name} does not implement verifyIdToken`);
+  }
+
+  startChannelWatcher() {
+    throw new Error(`${this.constructor.name} does not implement startChannelWatcher`);
+  }
+
+  async loadChannelCache() {
+    throw new Error(`${this.constructor.name} does not implement loadChannelCache`);
+  }
+
+  // Merges `changes` into a user's member entry in the channel config
+  // (null removes a field), refreshes the cache and returns the channel.
+  async updateChannelMember(channelId, userId, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateChannelMember`);
+  }
+
+  async fetchUserProfile(userId) {
+    throw new Error(`${this.constructor.name} does not implement fetchUserProfile`);
+  }
+
+  subscribeToUserProfile(userId, handler) {
+    throw new Error(`${this.constructor.name} does not implement subscribeToUserProfile`);
+  }
+
+  async saveChatMessage(channelId, message) {
+    throw new Error(`${this.constructor.name} does not implement saveChatMessage`);
+  }
+
+  // Newest first by (ts, id); `before` is a { ts, id } cursor from
+  // messageSearch, and without an id every message at that ts is excluded
+  async fetchRecentMessages(channelId, limit, before) {
+    throw new Error(`${this.constructor.name} does not implement fetchRecentMessages`);
+  }
+
+  async fetchChatMessage(channelId, messageId) {
+    throw new Error(`${this.constructor.name} does not implement fetchChatMessage`);
+  }
+
+  // Deletes up to `limit` of the oldest messages with `ts` before cutoffTs
+  // and returns them; fewer than `limit` means none are left.
+  async purgeMessagesBefore(channelId, cutoffTs, limit) {
+    throw new Error(`${this.constructor.name} does not implement purgeMessagesBefore`);
+  }
+
+  // Replaces the text of a message, keeping the previous text in `edits`.
+  async editChatMessage(channelId, messageId, text, editedBy) {
+    throw new Error(`${this.constructor.name} does not implement editChatMessage`);
+  }
+
+  // Turns a message into a tombstone: text and edit history are dropped.
+  async deleteChatMessage(channelId, messageId, deletedBy) {
+    throw new Error(`${this.constructor.name} does not implement deleteChatMessage`);
+  }
+
+  // Bumps `replyCount`/`lastReplyAt` on a thread root and returns it.
+  async recordThreadReply(channelId, parentId, replyTs) {
+    throw new Error(`${this.constructor.name} does not implement recordThreadReply`);
+  }
+
+  // Pages a thread's replies backwards by `ts`, like fetchRecentMessages.
+  async fetchThreadMessages(channelId, parentId, limit, beforeTs) {
+    throw new Error(`${this.constructor.name} does not implement fetchThreadMessages`);
+  }
+
+  // Finds live messages matching { terms, userId, fromTs, toTs, before },
+  // newest first by (ts, id); `before` is a { ts, id } cursor. Returns
+  // { messages, nextBefore }; nextBefore is null once no older matches can
+  // exist.
+  async searchMessages(channelId, criteria) {
+    throw new Error(`${this.constructor.name} does not implement searchMessages`);
+  }
+
+  // Creates or replaces the call record `record.callId` of a channel.
+  async saveCallRecord(channelId, record) {
+    throw new Error(`${this.constructor.name} does not implement saveCallRecord`);
+  }
+
+  // Pages call records backwards by `createdAt`. `participantId` keeps calls
+  // the user took part in, `missedBy` the calls that user missed.
+  async fetchCallHistory(channelId, { limit, beforeTs, participantId, missedBy }) {
+    throw new Error(`${this.constructor.name} does not implement fetchCallHistory`);
+  }
+
+  // Records the latest message of a direct-message conversation (see
+  // toConversationSummary) for the conversation list.
+  async saveDirectConversationSummary(conversationId, summary) {
+    throw new Error(`${this.constructor.name} does not implement saveDirectConversationSummary`);
+  }
+
+  // Pages a user's conversation summaries backwards by `lastMessageAt`.
+  async fetchDirectConversations(userId, { limit, beforeTs }) {
+    throw new Error(`${this.constructor.name} does not implement fetchDirectConversations`);
+  }
+
+  // Adds or removes targetUserId in the user's `blockedUserIds`.
+  async setUserBlocked(userId, targetUserId, isBlocked) {
+    throw new Error(`${this.constructor.name} does not implement setUserBlocked`);
+  }
+
+  // Merges presence fields (`presenceStatus`, `lastSeen`) into the user's
+  // profile; subscribeToUserProfile handlers see the change.
+  async saveUserPresence(userId, fields) {
+    throw new Error(`${this.constructor.name} does not implement saveUserPresence`);
+  }
+
+  // Stores the user's last-read position for a channel under
+  // `readPositions.<channelId>` in their profile.
+  async saveReadPosition(userId, channelId, position) {
+    throw new Error(`${this.constructor.name} does not implement saveReadPosition`);
+  }
+
+  // Returns the highest sequence number allocated in a channel (0 if none).
+  async fetchLatestMessageSeq(channelId) {
+    throw new Error(`${this.constructor.name} does not implement fetchLatestMessageSeq`);
+  }
+
+  // Allocates the next per-channel message sequence number (1, 2, 3, ...).
+  // Errors that only mean the counter was busy carry `retryable: true`.
+  async nextMessageSeq(channelId) {
+    throw new Error(`${this.constructor.name} does not implement nextMessageSeq`);
+  }
+
+  // Returns messages with `seq` greater than afterSeq, oldest first.
+  async fetchMessagesAfterSeq(channelId, afterSeq, limit) {
+    throw new Error(`${this.constructor.name} does not implement fetchMessagesAfterSeq`);
+  }
+
+  // Keeps a write in `pendingWrites` until it settles, so close() can wait
+  // for writes that nobody awaits
+  trackWrite(promise) {
+    this.pendingWrites.add(promise);
+    const forget = () => {
+      this.pendingWrites.delete(promise);
+    };
+    promise.then(forget, forget);
+    return promise;
+  }
+
+  async flushWrites() {
+    await Promise.allSettled(Array.from(this.pendingWrites));
+  }
+
+  // Called on shutdown: waits for pending writes and stops all watchers.
+  async close() {
+    await this.flushWrites();
+  }
+
+  applyMessageEdit(message, text, editedBy) {
+    const editedAt = Date.now();
+    const edits = Array.isArray(message.edits) ? message.edits : [];
+    return {
+      ...message,
+      text,
+      editedAt,
+      editedBy,
+      edits: [
+        ...edits,
+        {
+          text: message.text,
+          editedAt,
+          editedBy
+        }
+      ]
+    };
+  }
+
+  applyMessageTombstone(message, deletedBy) {
+    return {
+      ...message,
+      text: '',
+      edits: [],
+      deleted: true,
+      deletedAt: Date.now(),
+      deletedBy
+    };
+  }
+
+  applyThreadReply(message, replyTs) {
+    return {
+      ...message,
+      replyCount: (Number(message.replyCount) || 0) + 1,
+      lastReplyAt: Math.max(Number(message.lastReplyAt) || 0, replyTs)
+    };
+  }
+
+  // Entries left with nothing but the userId are dropped, so moderating a
+  // non-member of a private channel never grants them access.
+  applyChannelMemberChange(channels, channelId, userId, changes) {
+    const channel = channels.find((entry) => entry && entry.id === channelId);
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+
+    const members = Array.isArray(channel.members) ? channel.members : [];
+    const updated = {
+      ...(members.find((member) => member.userId === userId) || { userId }),
+      ...changes
+    };
+    Object.keys(updated).forEach((key) => {
+      if (updated[key] === null) {
+        delete updated[key];
+      }
+    });
+
+    const nextMembers = members.filter((member) => member.userId !== userId);
+    if (Object.keys(updated).length > 1) {
+      const index = members.findIndex((member) => member.userId === userId);
+      nextMembers.splice(index === -1 ? nextMembers.length : index, 0, updated);
+    }
+
+    return channels.map((entry) => (entry === channel ? { ...channel, members: nextMembers } : entry));
+  }
+
+  updateChannelCache(channels) {
+    const nextMap = new Map();
+    channels.forEach((channel) => {
+      if (channel && channel.id && !isDirectConversationId(channel.id)) {
+        nextMap.set(channel.id, channel);
+      }
+    });
+
+    this.channelCache = nextMap;
+    this.emit('channels-updated', this.getAllChannels());
+  }
+
+  // Custom roles from the `roles` map of the channel config (role name ->
+  // capability names, see permissions.js)
+  updateRoleDefinitions(roles) {
+    this.roleDefinitions = roles && typeof roles === 'object' && !Array.isArray(roles) ? roles : {};
+  }
+
+  getRoleDefinitions() {
+    return this.roleDefinitions;
+  }
+
+  getAllChannels() {
+    return Array.from(this.channelCache.values());
+  }
+
+  // Direct-message conversations are not part of the channel config
+  getCachedChannel(channelId) {
+    if (!channelId) {
+      return null;
+    }
+
+    if (isDirectConversationId(channelId)) {
+      return toDirectChannelDef(channelId);
+    }
+
+    return this.channelCache.get(channelId) || null;
+  }
+
+  async fetchChannelDefinition(channelId) {
+    if (!channelId) {
+      return null;
+    }
+
+    const cached = this.getCachedChannel(channelId);
+    if (cached || isDirectConversationId(channelId)) {
+      return cached;
+    }
+
+    await this.loadChannelCache();
+    return this.getCachedChannel(channelId);
+  }
+
+  extractChannelsArray(data) {
+    if (!data) {
+      return [];
+    }
+
+    if (Array.isArray(data.channels)) {
+      return data.channels;
+    }
+
+    if (Array.isArray(data.items)) {
+      return data.items;
+    }
+
+    return [];
+  }
+}
+
+module.exports = BaseAccess;
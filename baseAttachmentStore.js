@@ -0,0 +1,28 @@
+// Common base for attachment storage backends. An attachment is a file plus
+// its metadata record { id, channelId, userId, fileName, contentType, size,
+// uploadedAt }; backends decide where both live.
+class BaseAttachmentStore {
+  // Throws when the backend lacks configuration it needs; checked before
+  // uploads are accepted.
+  checkConfiguration() {}
+
+  // Streams `source` into storage and records `metadata` once it completed.
+  async save(metadata, source) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  async fetchMetadata(attachmentId) {
+    throw new Error(`${this.constructor.name} does not implement fetchMetadata`);
+  }
+
+  createReadStream(attachmentId) {
+    throw new Error(`${this.constructor.name} does not implement createReadStream`);
+  }
+
+  // Removes the file and its metadata; missing attachments are ignored.
+  async delete(attachmentId) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+}
+
+module.exports = BaseAttachmentStore;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Fan-out between server instances. Each instance keeps its own sockets and
+// delivers what the broker hands back to it:
+// - 'channel-message' (channelId, payload, exceptConnectionId) for every
+//   channel broadcast, including the ones published by this instance
+// - 'connection-message' (connectionId, payload) for payloads addressed to a
+//   single connection
+// Presence members are { connectionId, userId, username, lastReadSeq, joinedAt,
+// instanceId } records shared by the whole cluster.
+// Calls are { callId, channelId, callerId, calleeId, state, ... } records; a
+// user takes part in at most one call at a time, cluster-wide.
+// Room calls are per-channel rosters of { connectionId, userId, username,
+// canPublish, joinedAt, instanceId } participants.
+// User presence is made of { connectionId, userId, idle, channelIds,
+// instanceId } records, one per connection of the user, plus the last
+// { status, lastSeen } announced for the user.
+class BaseBroker extends EventEmitter {
+  constructor() {
+    super();
+    this.instanceId = crypto.randomUUID();
+  }
+
+  async start() {}
+
+  async stop() {}
+
+  async publishToChannel(channelId, payload, exceptConnectionId) {
+    throw new Error(`${this.constructor.name} does not implement publishToChannel`);
+  }
+
+  async sendToConnection(member, payload) {
+    throw new Error(`${this.constructor.name} does not implement sendToConnection`);
+  }
+
+  // Resolves to whether the member was added: with maxMembers, only while
+  // the channel has fewer members across all instances (checked and written
+  // atomically). A connection that is already a member is always updated.
+  async addMember(channelId, member, maxMembers) {
+    throw new Error(`${this.constructor.name} does not implement addMember`);
+  }
+
+  async updateMember(channelId, connectionId, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateMember`);
+  }
+
+  async removeMember(channelId, connectionId) {
+    throw new Error(`${this.constructor.name} does not implement removeMember`);
+  }
+
+  // Members of a channel across all instances, oldest join first.
+  async listMembers(channelId) {
+    throw new Error(`${this.constructor.name} does not implement listMembers`);
+  }
+
+  async bufferSignal(channelId, userId, payload, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement bufferSignal`);
+  }
+
+  // Removes and returns { signals, expiredCount } for the user in the channel.
+  async takeBufferedSignals(channelId, userId) {
+    throw new Error(`${this.constructor.name} does not implement takeBufferedSignals`);
+  }
+
+  // Stores a new call unless caller or callee is already in one; resolves to
+  // false in that case. Records expire after ttlMs unless refreshed.
+  async claimCall(call, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement claimCall`);
+  }
+
+  async fetchCall(callId) {
+    throw new Error(`${this.constructor.name} does not implement fetchCall`);
+  }
+
+  // The call the user is currently part of, or null.
+  async fetchUserCall(userId) {
+    throw new Error(`${this.constructor.name} does not implement fetchUserCall`);
+  }
+
+  // Merges changes into a stored call and returns it (null if it is gone).
+  async updateCall(callId, changes, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement updateCall`);
+  }
+
+  // Forgets a call and frees both participants.
+  async releaseCall(call) {
+    throw new Error(`${this.constructor.name} does not implement releaseCall`);
+  }
+
+  // Adds a participant to the channel's room call; resolves to false when the
+  // roster already holds maxParticipants. The roster expires after ttlMs
+  // unless refreshed by another join.
+  async addRoomCallParticipant(channelId, participant, maxParticipants, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement addRoomCallParticipant`);
+  }
+
+  // Removes and returns the participant of the connection, or null.
+  async removeRoomCallParticipant(channelId, connectionId) {
+    throw new Error(`${this.constructor.name} does not implement removeRoomCallParticipant`);
+  }
+
+  // Room call participants across all instances, oldest join first.
+  async listRoomCallParticipants(channelId) {
+    throw new Error(`${this.constructor.name} does not implement listRoomCallParticipants`);
+  }
+
+  async setPresenceConnection(userId, record) {
+    throw new Error(`${this.constructor.name} does not implement setPresenceConnection`);
+  }
+
+  async removePresenceConnection(userId, connectionId) {
+    throw new Error(`${this.constructor.name} does not implement removePresenceConnection`);
+  }
+
+  // Connections of the user across all instances.
+  async listPresenceConnections(userId) {
+    throw new Error(`${this.constructor.name} does not implement listPresenceConnections`);
+  }
+
+  // Stores the user's announced presence and returns the previous one (null
+  // if none).
+  async swapUserPresence(userId, presence) {
+    throw new Error(`${this.constructor.name} does not implement swapUserPresence`);
+  }
+
+  // Announced presence per user ID, in the same order (null if unknown).
+  async fetchUserPresences(userIds) {
+    throw new Error(`${this.constructor.name} does not implement fetchUserPresences`);
+  }
+
+  // Marks an upload token as used until ttlMs from now; resolves to false
+  // when it already is, so each token stores one file cluster-wide.
+  async reserveUpload(attachmentId, ttlMs) {
+    throw new Error(`${this.constructor.name} does not implement reserveUpload`);
+  }
+
+  // Lets a failed upload be retried with the same token.
+  async releaseUpload(attachmentId) {
+    throw new Error(`${this.constructor.name} does not implement releaseUpload`);
+  }
+
+  // Signals currently buffered, or null when the broker cannot count them
+  // cheaply.
+  async countBufferedSignals() {
+    return null;
+  }
+
+  async countMembers(channelId) {
+    const members = await this.listMembers(channelId);
+    return members.length;
+  }
+
+  async findMember(channelId, userId) {
+    if (!channelId || !userId) {
+      return undefined;
+    }
+
+    const members = await this.listMembers(channelId);
+    return members.find((member) => member.userId === userId);
+  }
+
+  sortMembers(members) {
+    return members.sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0));
+  }
+
+  splitBufferedSignals(entries) {
+    const now = Date.now();
+    const signals = [];
+    let expiredCount = 0;
+    entries.forEach((entry) => {
+      if (entry.expiresAt < now) {
+        expiredCount += 1;
+        return;
+      }
+      signals.push(entry.payload);
+    });
+
+    return { signals, expiredCount };
+  }
+}
+
+module.exports = BaseBroker;
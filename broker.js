@@ -0,0 +1,30 @@
+// Picks the cross-instance broker from BROKER. `local` keeps everything in
+// this process; `redis` shares presence, broadcasts and buffered signals
+// through REDIS_URL so several server instances act as one.
+const BROKERS = {
+  local: () => {
+    const InProcessBroker = require('./inProcessBroker');
+    return new InProcessBroker();
+  },
+  redis: () => {
+    const Redis = require('ioredis');
+    const RedisBroker = require('./redisBroker');
+    const publisher = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+    return new RedisBroker({
+      publisher,
+      subscriber: publisher.duplicate(),
+      keyPrefix: process.env.REDIS_KEY_PREFIX
+    });
+  }
+};
+
+const createBroker = (brokerName = process.env.BROKER || 'local') => {
+  const create = BROKERS[brokerName.toLowerCase()];
+  if (!create) {
+    throw new Error(`Unknown BROKER "${brokerName}"`);
+  }
+
+  return create();
+};
+
+module.exports = createBroker();
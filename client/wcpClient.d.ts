@@ -0,0 +1,327 @@
+// Types for wcpClient.js. Message shapes follow MESSAGE_SCHEMAS in
+// protocol.js and the payloads server.js sends.
+
+export const SUBPROTOCOL: 'wcp.v2';
+
+export type ErrorCode =
+  | 'INVALID_JSON'
+  | 'INVALID_MESSAGE'
+  | 'UNKNOWN_TYPE'
+  | 'UNSUPPORTED_VERSION'
+  | 'UNAUTHENTICATED'
+  | 'NOT_JOINED'
+  | 'ALREADY_JOINED'
+  | 'FORBIDDEN'
+  | 'BLOCKED'
+  | 'MUTED'
+  | 'BUSY'
+  | 'NOT_FOUND'
+  | 'CHANNEL_FULL'
+  | 'SESSION_EXPIRED'
+  | 'TARGET_UNAVAILABLE'
+  | 'TOO_LARGE'
+  | 'RATE_LIMITED'
+  | 'UNAVAILABLE'
+  | 'INTERNAL'
+  // Raised by the client itself
+  | 'NOT_CONNECTED'
+  | 'DISCONNECTED'
+  | 'TIMEOUT';
+
+export class WcpError extends Error {
+  code: ErrorCode;
+  requestType?: string;
+  retryAfterMs?: number;
+}
+
+export interface Attachment {
+  id: string;
+  fileName: string;
+  contentType: string;
+  size: number;
+  url: string;
+}
+
+export interface ChatMessage {
+  type: 'chat';
+  id: string;
+  seq: number;
+  channelId: string;
+  from: string;
+  userId: string;
+  text: string;
+  ts: number;
+  parentId?: string;
+  quote?: { id: string; userId: string | null; from: string; text: string; ts: number };
+  attachments?: Attachment[];
+  replyCount?: number;
+  lastReplyAt?: number;
+  editedAt?: number;
+  deleted?: boolean;
+}
+
+export type PresenceStatus = 'online' | 'away' | 'busy' | 'in-call' | 'offline';
+
+export interface ChannelUser {
+  username: string;
+  userId: string;
+  status: PresenceStatus;
+  lastReadSeq: number;
+}
+
+export interface RoomCallParticipant {
+  userId: string;
+  username: string;
+  canPublish: boolean;
+  joinedAt: number;
+}
+
+export interface ChannelUsersMessage {
+  type: 'channel-users';
+  channelId: string;
+  users: ChannelUser[];
+  roomCallParticipants: RoomCallParticipant[];
+  lastReadSeq: number;
+  unreadCount: number;
+}
+
+export interface CallStateMessage {
+  type: 'call-state';
+  callId: string;
+  channelId: string;
+  state: 'ringing' | 'active' | 'ended';
+  callerId: string;
+  caller: string;
+  calleeId: string;
+  callee: string;
+  media: string;
+  createdAt: number;
+  answeredAt: number | null;
+  endedAt: number | null;
+  endReason: 'completed' | 'cancelled' | 'rejected' | 'timeout' | 'disconnected' | null;
+}
+
+export interface SignalMessage {
+  type: 'webrtc-offer' | 'webrtc-answer' | 'webrtc-ice';
+  channelId: string;
+  fromUserId: string;
+  targetUserId: string;
+  from: string;
+  userId: string;
+  sdp?: string | object;
+  ice?: string | object;
+}
+
+export interface CallSignalMessage {
+  type: 'call-cancelled' | 'call-rejected' | 'call-ended';
+  channelId: string;
+  fromUserId: string;
+  targetUserId: string;
+  from: string;
+  userId: string;
+}
+
+export interface RoomCallRosterMessage {
+  type: 'room-call-roster';
+  channelId: string;
+  participant: RoomCallParticipant;
+  participants: RoomCallParticipant[];
+  offerTo: string[];
+  maxParticipants: number;
+}
+
+export interface PresenceMessage {
+  type: 'presence';
+  userId: string;
+  username?: string;
+  status: PresenceStatus;
+  lastSeen: number | null;
+}
+
+export interface DirectConversation {
+  channelId: string;
+  userId: string;
+  name: string;
+  lastMessage: { id: string; userId: string; from: string; text: string; hasAttachments: boolean; ts: number };
+  lastMessageAt: number;
+  unreadCount: number;
+  isBlocked: boolean;
+}
+
+// Server messages by type; payloads not modelled in detail are open records
+export interface ServerMessages {
+  welcome: { type: 'welcome'; protocolVersion: number; connectionId: string; serverTs: number };
+  ack: { type: 'ack'; requestId: string; requestType: string };
+  error: { type: 'error'; code: ErrorCode; text: string; requestId?: string; requestType?: string };
+  'rate-limited': { type: 'rate-limited'; messageType: string; retryAfterMs: number; level: 'warning' | 'throttle'; requestId?: string };
+  session: { type: 'session'; userId: string; resumeToken: string; resumeGraceMs: number; channelIds: string[] };
+  resumed: { type: 'resumed'; channelId: string; messages: ChatMessage[]; truncated: boolean };
+  reauthenticated: { type: 'reauthenticated'; expiresAt: number | null };
+  'token-expiring': { type: 'token-expiring'; expiresAt: number; expiresInMs: number };
+  'server-shutdown': { type: 'server-shutdown'; text: string; reconnectAfterMs: number };
+  'channel-users': ChannelUsersMessage;
+  'channel-history': { type: 'channel-history'; channelId: string; messages: ChatMessage[] };
+  'channel-left': { type: 'channel-left'; channelId: string; reason?: string };
+  kicked: { type: 'kicked'; channelId: string; reason: string };
+  'user-joined': { type: 'user-joined'; username: string; userId: string };
+  'user-left': { type: 'user-left'; username: string; userId: string };
+  chat: ChatMessage;
+  'chat-edited': { type: 'chat-edited'; channelId: string; messageId: string; text: string; editedAt: number; editedBy: string };
+  'chat-deleted': { type: 'chat-deleted'; channelId: string; messageId: string; deletedAt: number; deletedBy: string };
+  'thread-history': { type: 'thread-history'; channelId: string; parentId: string; messages: ChatMessage[] };
+  'thread-updated': { type: 'thread-updated'; channelId: string; messageId: string; replyCount: number; lastReplyAt: number };
+  'search-results': {
+    type: 'search-results';
+    channelId: string;
+    query: string;
+    results: Array<{ message: ChatMessage; highlights: object[] }>;
+    nextCursor: string | null;
+  };
+  'upload-ready': { type: 'upload-ready'; channelId: string; attachmentId: string; uploadUrl: string; expiresAt: number };
+  typing: { type: 'typing'; channelId: string; userId: string; username: string; isTyping: boolean };
+  'read-position': { type: 'read-position'; channelId: string; userId: string; seq: number };
+  presence: PresenceMessage;
+  'presence-list': { type: 'presence-list'; users: PresenceMessage[] };
+  pong: { type: 'pong'; clientTs?: number; serverTs: number };
+  'system-notice': { type: 'system-notice'; channelId: string; action: string; text: string; [field: string]: unknown };
+  'dm-opened': { type: 'dm-opened'; channelId: string; userId: string; name: string };
+  'dm-conversations': { type: 'dm-conversations'; conversations: DirectConversation[] };
+  'call-invite': { type: 'call-invite'; callId: string; channelId: string; fromUserId: string; from: string; media: string };
+  'call-state': CallStateMessage;
+  'call-history': { type: 'call-history'; channelId: string; calls: object[] };
+  'missed-call': { type: 'missed-call'; call: object };
+  'call-cancelled': CallSignalMessage;
+  'call-rejected': CallSignalMessage;
+  'call-ended': CallSignalMessage;
+  'room-call-roster': RoomCallRosterMessage;
+  'room-call-joined': { type: 'room-call-joined'; channelId: string; participant: RoomCallParticipant; offerers: string[]; participantCount: number };
+  'room-call-left': { type: 'room-call-left'; channelId: string; userId: string; username: string; reason: string };
+  'webrtc-offer': SignalMessage;
+  'webrtc-answer': SignalMessage;
+  'webrtc-ice': SignalMessage;
+}
+
+export interface ClientEvents {
+  message: ServerMessages[keyof ServerMessages];
+  disconnected: { code: number; reason: string };
+  reconnecting: { attempt: number; delayMs: number };
+  reconnected: { resumed: boolean; channelIds: string[] };
+  rejoined: { channelId: string };
+  'rejoin-failed': { channelId: string; error: WcpError };
+  'reauth-failed': Error;
+  'clock-offset': { offsetMs: number; rttMs: number };
+  'socket-error': Error;
+}
+
+type EventMap = ServerMessages & ClientEvents;
+
+declare class Emitter<Events> {
+  on<E extends keyof Events>(event: E, listener: (payload: Events[E]) => void): this;
+  off<E extends keyof Events>(event: E, listener: (payload: Events[E]) => void): this;
+  once<E extends keyof Events>(event: E, listener: (payload: Events[E]) => void): this;
+}
+
+export interface WcpClientOptions {
+  url: string;
+  getIdToken?: () => string | Promise<string>;
+  WebSocket?: unknown;
+  requestTimeoutMs?: number;
+  pingIntervalMs?: number;
+  reconnect?: boolean;
+  minReconnectDelayMs?: number;
+  maxReconnectDelayMs?: number;
+  clockSamples?: number;
+}
+
+export class WcpClient extends Emitter<EventMap> {
+  constructor(options: WcpClientOptions);
+  readonly connectionId: string | null;
+  readonly userId: string | null;
+  readonly channels: Map<string, { lastSeq: number }>;
+  readonly clockOffsetMs: number;
+  readonly rttMs: number | null;
+
+  connect(): Promise<void>;
+  close(): void;
+  isConnected(): boolean;
+  serverNow(): number;
+  request(type: string, fields?: object): Promise<unknown>;
+
+  join(channelId: string): Promise<ChannelUsersMessage>;
+  leave(channelId: string): Promise<void>;
+  reauth(): Promise<ServerMessages['reauthenticated']>;
+
+  openDirectMessage(targetUserId: string): Promise<ServerMessages['dm-opened']>;
+  fetchDirectConversations(options?: { beforeTs?: number }): Promise<ServerMessages['dm-conversations']>;
+  blockUser(targetUserId: string): Promise<void>;
+  unblockUser(targetUserId: string): Promise<void>;
+
+  sendChat(channelId: string, text: string, options?: { parentId?: string; quoteId?: string; attachmentIds?: string[] }): Promise<void>;
+  editChat(channelId: string, messageId: string, text: string): Promise<void>;
+  deleteChat(channelId: string, messageId: string): Promise<void>;
+  fetchHistory(channelId: string, beforeTs?: number, beforeId?: string): Promise<ChatMessage[]>;
+  pageHistory(channelId: string, options?: { beforeTs?: number; beforeId?: string }): HistoryPager;
+  fetchThread(channelId: string, parentId: string, beforeTs?: number): Promise<ServerMessages['thread-history']>;
+  fetchCallHistory(channelId: string, options?: { beforeTs?: number; missedOnly?: boolean }): Promise<ServerMessages['call-history']>;
+  searchHistory(
+    channelId: string,
+    options?: { query?: string; authorId?: string; fromTs?: number; toTs?: number; cursor?: string; limit?: number }
+  ): Promise<ServerMessages['search-results']>;
+  requestUpload(channelId: string, file: { fileName: string; contentType: string; size: number }): Promise<ServerMessages['upload-ready']>;
+  setTyping(channelId: string, isTyping: boolean): Promise<void>;
+  markRead(channelId: string, seq: number): Promise<void>;
+
+  ping(): Promise<ServerMessages['pong']>;
+  setStatus(status: 'online' | 'away' | 'busy'): Promise<void>;
+  fetchPresence(userIds: string[]): Promise<ServerMessages['presence-list']>;
+
+  kick(channelId: string, targetUserId: string, reason?: string): Promise<void>;
+  mute(channelId: string, targetUserId: string, options?: { durationSeconds?: number; reason?: string }): Promise<void>;
+  unmute(channelId: string, targetUserId: string, reason?: string): Promise<void>;
+  block(channelId: string, targetUserId: string, reason?: string): Promise<void>;
+  unblock(channelId: string, targetUserId: string, reason?: string): Promise<void>;
+
+  inviteCall(channelId: string, targetUserId: string, media?: string): Promise<void>;
+  acceptCall(channelId: string, callId: string): Promise<void>;
+  rejectCall(channelId: string, targetUserId: string, callId: string): Promise<void>;
+  cancelCall(channelId: string, targetUserId: string, callId: string): Promise<void>;
+  endCall(channelId: string, targetUserId: string, callId: string): Promise<void>;
+  joinRoomCall(channelId: string): Promise<RoomCallRosterMessage>;
+  leaveRoomCall(channelId: string): Promise<void>;
+  sendOffer(channelId: string, targetUserId: string, sdp: string | object): Promise<void>;
+  sendAnswer(channelId: string, targetUserId: string, sdp: string | object): Promise<void>;
+  sendIceCandidate(channelId: string, targetUserId: string, candidate: string | object): Promise<void>;
+}
+
+export class HistoryPager implements AsyncIterable<ChatMessage[]> {
+  constructor(client: WcpClient, channelId: string, options?: { beforeTs?: number; beforeId?: string });
+  readonly hasMore: boolean;
+  next(): Promise<ChatMessage[]>;
+  [Symbol.asyncIterator](): AsyncIterator<ChatMessage[]>;
+}
+
+// The parts of RTCPeerConnection the signaling helper uses
+export interface PeerConnectionLike {
+  createOffer(): Promise<object>;
+  createAnswer(): Promise<object>;
+  setLocalDescription(description: object): Promise<void>;
+  setRemoteDescription(description: object): Promise<void>;
+  addIceCandidate(candidate: object): Promise<void>;
+  localDescription?: object | null;
+  onicecandidate: ((event: { candidate: object | null }) => void) | null;
+  close?(): void;
+}
+
+export interface PeerSignalingEvents {
+  peer: { userId: string; connection: PeerConnectionLike };
+  'peer-closed': { userId: string };
+  'signaling-error': Error;
+}
+
+export class PeerSignaling<Connection extends PeerConnectionLike = PeerConnectionLike> extends Emitter<PeerSignalingEvents> {
+  constructor(client: WcpClient, channelId: string, options: { createPeerConnection: (userId: string) => Connection });
+  readonly peers: Map<string, { userId: string; connection: Connection }>;
+  connectTo(userId: string): Promise<void>;
+  close(userId: string): void;
+  destroy(): void;
+}
@@ -0,0 +1,909 @@
+// JavaScript client for the chat protocol (version 2), for browsers and Node.
+// Load it with a <script> tag (it defines `wcpClient`), a bundler or
+// require(). Node versions without a global WebSocket need an implementation
+// passed in, such as the `ws` package.
+//
+//   const { WcpClient } = wcpClient;
+//   const client = new WcpClient({ url, getIdToken: () => user.getIdToken() });
+//   client.on('chat', (message) => render(message));
+//   await client.connect();
+//   await client.join('general');
+//
+// Requests resolve once the server acknowledges them (with the reply message
+// for requests that have one) and reject with a WcpError carrying the
+// server's error code. Every server message is also emitted as an event
+// named after its type. Types are described in wcpClient.d.ts.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.wcpClient = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, () => {
+  const SUBPROTOCOL = 'wcp.v2';
+  const DEFAULT_OPTIONS = {
+    requestTimeoutMs: 15000, // 15 seconds
+    pingIntervalMs: 25000, // 25 seconds
+    reconnect: true,
+    minReconnectDelayMs: 500,
+    maxReconnectDelayMs: 30000, // 30 seconds
+    clockSamples: 5
+  };
+  // Closes that mean reconnecting would not help: a protocol mismatch, a
+  // policy close (kicked, blocked, expired token) or a takeover by another
+  // connection resuming the same session
+  const FINAL_CLOSE_CODES = [1002, 1008, 4000];
+
+  // Requests the server answers with a message of its own before the ack
+  const RESPONSE_TYPES = {
+    join: 'channel-users',
+    reauth: 'reauthenticated',
+    'open-dm': 'dm-opened',
+    'fetch-dm-conversations': 'dm-conversations',
+    'fetch-history': 'channel-history',
+    'fetch-call-history': 'call-history',
+    'fetch-thread': 'thread-history',
+    'search-history': 'search-results',
+    'request-upload': 'upload-ready',
+    'fetch-presence': 'presence-list',
+    'room-call-join': 'room-call-roster',
+    ping: 'pong'
+  };
+
+  class WcpError extends Error {
+    constructor(code, message, details = {}) {
+      super(message);
+      this.name = 'WcpError';
+      this.code = code;
+      Object.assign(this, details);
+    }
+  }
+
+  // Minimal emitter so the client does not depend on Node's `events`
+  class Emitter {
+    constructor() {
+      this.listeners = new Map();
+    }
+
+    on(event, listener) {
+      if (!this.listeners.has(event)) {
+        this.listeners.set(event, new Set());
+      }
+      this.listeners.get(event).add(listener);
+      return this;
+    }
+
+    off(event, listener) {
+      const listeners = this.listeners.get(event);
+      if (listeners) {
+        listeners.delete(listener);
+      }
+      return this;
+    }
+
+    once(event, listener) {
+      const wrapped = (...args) => {
+        this.off(event, wrapped);
+        listener(...args);
+      };
+      return this.on(event, wrapped);
+    }
+
+    emit(event, ...args) {
+      const listeners = this.listeners.get(event);
+      if (!listeners) {
+        return false;
+      }
+
+      Array.from(listeners).forEach((listener) => {
+        try {
+          listener(...args);
+        } catch (err) {
+          setTimeout(() => {
+            throw err;
+          });
+        }
+      });
+      return true;
+    }
+  }
+
+  const matchesRequest = (pending, msg) => {
+    if (RESPONSE_TYPES[pending.type] !== msg.type || pending.response) {
+      return false;
+    }
+
+    if (msg.type === 'pong') {
+      return msg.clientTs === pending.fields.clientTs;
+    }
+    return !pending.fields.channelId || !msg.channelId || pending.fields.channelId === msg.channelId;
+  };
+
+  const withoutUndefined = (fields) => {
+    const result = {};
+    Object.keys(fields).forEach((key) => {
+      if (fields[key] !== undefined) {
+        result[key] = fields[key];
+      }
+    });
+    return result;
+  };
+
+  class WcpClient extends Emitter {
+    // options: url, getIdToken (async, returns a Firebase ID token),
+    // WebSocket (implementation, defaults to the global one) and overrides of
+    // DEFAULT_OPTIONS
+    constructor(options = {}) {
+      super();
+      if (!options.url) {
+        throw new Error('WcpClient requires a url');
+      }
+
+      this.options = { ...DEFAULT_OPTIONS, ...options };
+      this.WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+      if (!this.WebSocketImpl) {
+        throw new Error('No WebSocket implementation available, pass one as options.WebSocket');
+      }
+
+      this.socket = null;
+      this.connectionId = null;
+      this.userId = null;
+      this.resumeToken = null;
+      // Channels (and conversations) this client is in, with the last seq seen
+      this.channels = new Map();
+      this.pendingRequests = new Map();
+      this.lastRequestId = 0;
+      this.shouldReconnect = false;
+      this.reconnectAttempt = 0;
+      this.reconnectTimer = null;
+      this.nextReconnectDelayMs = null;
+      this.pingTimer = null;
+      this.clockSamples = [];
+      this.clockOffsetMs = 0;
+      this.rttMs = null;
+    }
+
+    // Opens the connection; resolves once the server's welcome arrived
+    async connect() {
+      this.shouldReconnect = this.options.reconnect;
+      try {
+        await this.openSocket();
+      } catch (err) {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        throw err;
+      }
+    }
+
+    // Closes the connection for good; held channels are forgotten
+    close() {
+      this.shouldReconnect = false;
+      clearTimeout(this.reconnectTimer);
+      this.channels.clear();
+      this.resumeToken = null;
+      if (this.socket) {
+        this.socket.close(1000, 'Client closed');
+      }
+    }
+
+    isConnected() {
+      return Boolean(this.socket) && this.socket.readyState === 1 && Boolean(this.connectionId);
+    }
+
+    // Current server time, corrected by the estimated clock offset
+    serverNow() {
+      return Date.now() + this.clockOffsetMs;
+    }
+
+    openSocket() {
+      return new Promise((resolve, reject) => {
+        let welcomed = false;
+        const socket = new this.WebSocketImpl(this.options.url, SUBPROTOCOL);
+        this.socket = socket;
+        this.connectionId = null;
+
+        socket.onmessage = (event) => {
+          let msg;
+          try {
+            msg = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+          } catch (err) {
+            this.emit('socket-error', err);
+            return;
+          }
+
+          if (msg.type === 'welcome' && !welcomed) {
+            welcomed = true;
+            this.connectionId = msg.connectionId;
+            this.startPinging();
+            resolve();
+          }
+          this.handleMessage(msg);
+        };
+
+        socket.onerror = (event) => {
+          this.emit('socket-error', event && event.error ? event.error : new Error('WebSocket error'));
+        };
+
+        socket.onclose = (event) => {
+          if (this.socket === socket) {
+            this.handleClose(event.code, event.reason);
+          }
+          if (!welcomed) {
+            reject(new WcpError('DISCONNECTED', `Connection closed before it was ready (${event.code})`));
+          }
+        };
+      });
+    }
+
+    handleClose(code, reason) {
+      this.socket = null;
+      this.connectionId = null;
+      clearInterval(this.pingTimer);
+      this.pendingRequests.forEach((pending) => {
+        clearTimeout(pending.timer);
+        pending.reject(new WcpError('DISCONNECTED', 'Connection closed', { requestType: pending.type }));
+      });
+      this.pendingRequests.clear();
+      this.emit('disconnected', { code, reason });
+
+      if (!this.shouldReconnect || FINAL_CLOSE_CODES.includes(code)) {
+        this.shouldReconnect = false;
+        return;
+      }
+      this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+      this.reconnectAttempt += 1;
+      const backoffMs = Math.min(
+        this.options.maxReconnectDelayMs,
+        this.options.minReconnectDelayMs * 2 ** (this.reconnectAttempt - 1)
+      );
+      const delayMs = this.nextReconnectDelayMs !== null
+        ? this.nextReconnectDelayMs
+        : Math.floor(backoffMs / 2 + Math.random() * backoffMs / 2);
+      this.nextReconnectDelayMs = null;
+
+      this.emit('reconnecting', { attempt: this.reconnectAttempt, delayMs });
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnect();
+      }, delayMs);
+    }
+
+    async reconnect() {
+      if (!this.shouldReconnect) {
+        return;
+      }
+
+      try {
+        await this.openSocket();
+      } catch (err) {
+        // handleClose already scheduled the next attempt
+        return;
+      }
+
+      this.reconnectAttempt = 0;
+      try {
+        const result = await this.restoreSession();
+        this.emit('reconnected', result);
+      } catch (err) {
+        this.emit('socket-error', err);
+      }
+    }
+
+    // Resumes the previous session when the server still holds it, and
+    // otherwise joins every channel again. Messages missed while rejoining
+    // are not replayed; refetch history on `rejoined`.
+    async restoreSession() {
+      const channelIds = Array.from(this.channels.keys());
+      if (channelIds.length === 0) {
+        return { resumed: false, channelIds };
+      }
+
+      if (this.resumeToken) {
+        try {
+          await this.request('resume', {
+            resumeToken: this.resumeToken,
+            lastSeq: this.getLastSeqs()
+          });
+          return { resumed: true, channelIds };
+        } catch (err) {
+          if (err.code === 'DISCONNECTED') {
+            throw err;
+          }
+          // Some channels may have been restored; joining them again is
+          // answered with ALREADY_JOINED
+        }
+      }
+
+      for (const channelId of channelIds) {
+        try {
+          await this.join(channelId);
+          this.emit('rejoined', { channelId });
+        } catch (err) {
+          if (err.code === 'DISCONNECTED') {
+            throw err;
+          }
+          if (err.code !== 'ALREADY_JOINED') {
+            this.channels.delete(channelId);
+            this.emit('rejoin-failed', { channelId, error: err });
+          }
+        }
+      }
+      return { resumed: false, channelIds };
+    }
+
+    getLastSeqs() {
+      const lastSeq = {};
+      this.channels.forEach((state, channelId) => {
+        lastSeq[channelId] = state.lastSeq;
+      });
+      return lastSeq;
+    }
+
+    trackSeq(channelId, messages) {
+      const state = this.channels.get(channelId);
+      if (!state) {
+        return;
+      }
+
+      messages.forEach((message) => {
+        if (message && Number(message.seq) > state.lastSeq) {
+          state.lastSeq = Number(message.seq);
+        }
+      });
+    }
+
+    send(payload) {
+      if (!this.isConnected()) {
+        throw new WcpError('NOT_CONNECTED', 'Not connected', { requestType: payload.type });
+      }
+      this.socket.send(JSON.stringify(payload));
+    }
+
+    // Sends a request and resolves with its reply message (if the type has
+    // one) once the server acknowledged it
+    request(type, fields = {}) {
+      const requestId = `r${++this.lastRequestId}`;
+      const payload = { ...withoutUndefined(fields), type, requestId };
+      return new Promise((resolve, reject) => {
+        try {
+          this.send(payload);
+        } catch (err) {
+          reject(err);
+          return;
+        }
+
+        const pending = { type, fields: payload, resolve, reject, response: null, timer: null };
+        pending.timer = setTimeout(() => {
+          this.pendingRequests.delete(requestId);
+          reject(new WcpError('TIMEOUT', `No answer to ${type}`, { requestType: type }));
+        }, this.options.requestTimeoutMs);
+        this.pendingRequests.set(requestId, pending);
+      });
+    }
+
+    settleRequest(requestId, settle) {
+      const pending = this.pendingRequests.get(requestId);
+      if (!pending) {
+        return;
+      }
+
+      this.pendingRequests.delete(requestId);
+      clearTimeout(pending.timer);
+      settle(pending);
+    }
+
+    handleMessage(msg) {
+      switch (msg.type) {
+        case 'ack':
+          this.settleRequest(msg.requestId, (pending) => pending.resolve(pending.response));
+          break;
+        case 'error':
+          this.settleRequest(msg.requestId, (pending) => pending.reject(
+            new WcpError(msg.code, msg.text, { requestType: pending.type })
+          ));
+          break;
+        case 'rate-limited':
+          this.settleRequest(msg.requestId, (pending) => pending.reject(
+            new WcpError('RATE_LIMITED', `Too many ${msg.messageType} messages`, {
+              requestType: pending.type,
+              retryAfterMs: msg.retryAfterMs
+            })
+          ));
+          break;
+        default: {
+          const pending = Array.from(this.pendingRequests.values())
+            .find((candidate) => matchesRequest(candidate, msg));
+          if (pending) {
+            pending.response = msg;
+          }
+        }
+      }
+
+      this.applyServerState(msg);
+      this.emit(msg.type, msg);
+      this.emit('message', msg);
+    }
+
+    applyServerState(msg) {
+      switch (msg.type) {
+        case 'session':
+          this.userId = msg.userId;
+          this.resumeToken = msg.resumeToken;
+          break;
+        case 'chat':
+          this.trackSeq(msg.channelId, [msg]);
+          break;
+        case 'channel-history':
+        case 'resumed':
+          this.trackSeq(msg.channelId, msg.messages || []);
+          break;
+        case 'channel-left':
+          this.channels.delete(msg.channelId);
+          break;
+        case 'pong':
+          if (typeof msg.clientTs === 'number') {
+            this.recordClockSample(msg.clientTs, msg.serverTs, Date.now());
+          }
+          break;
+        case 'token-expiring':
+          if (this.options.getIdToken) {
+            this.reauth().catch((err) => this.emit('reauth-failed', err));
+          }
+          break;
+        case 'server-shutdown':
+          this.nextReconnectDelayMs = Number(msg.reconnectAfterMs) || 0;
+          break;
+        default:
+      }
+    }
+
+    // NTP-style estimate; the sample with the shortest round trip wins
+    recordClockSample(sentAt, serverTs, receivedAt) {
+      if (typeof serverTs !== 'number') {
+        return;
+      }
+
+      const rttMs = receivedAt - sentAt;
+      this.clockSamples.push({ rttMs, offsetMs: serverTs + rttMs / 2 - receivedAt });
+      if (this.clockSamples.length > this.options.clockSamples) {
+        this.clockSamples.shift();
+      }
+
+      const best = this.clockSamples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+      this.clockOffsetMs = Math.round(best.offsetMs);
+      this.rttMs = rttMs;
+      this.emit('clock-offset', { offsetMs: this.clockOffsetMs, rttMs });
+    }
+
+    // Pings right away for a first clock estimate, then keep the connection
+    // and the estimate fresh
+    startPinging() {
+      clearInterval(this.pingTimer);
+      if (!this.options.pingIntervalMs) {
+        return;
+      }
+
+      this.ping().catch(() => {});
+      this.pingTimer = setInterval(() => {
+        this.ping().catch(() => {});
+      }, this.options.pingIntervalMs);
+      if (typeof this.pingTimer.unref === 'function') {
+        this.pingTimer.unref();
+      }
+    }
+
+    async getIdToken() {
+      if (!this.options.getIdToken) {
+        throw new Error('WcpClient needs options.getIdToken to authenticate');
+      }
+      return this.options.getIdToken();
+    }
+
+    // Sessions
+
+    async join(channelId) {
+      const channelUsers = await this.request('join', {
+        channelId,
+        firebaseUserIdToken: await this.getIdToken()
+      });
+      if (!this.channels.has(channelId)) {
+        this.channels.set(channelId, { lastSeq: 0 });
+      }
+      return channelUsers;
+    }
+
+    async leave(channelId) {
+      await this.request('leave', { channelId });
+      this.channels.delete(channelId);
+    }
+
+    async reauth() {
+      return this.request('reauth', { firebaseUserIdToken: await this.getIdToken() });
+    }
+
+    // Direct messages
+
+    async openDirectMessage(targetUserId) {
+      const opened = await this.request('open-dm', {
+        targetUserId,
+        firebaseUserIdToken: await this.getIdToken()
+      });
+      if (opened && !this.channels.has(opened.channelId)) {
+        this.channels.set(opened.channelId, { lastSeq: 0 });
+      }
+      return opened;
+    }
+
+    fetchDirectConversations({ beforeTs } = {}) {
+      return this.request('fetch-dm-conversations', { beforeTs });
+    }
+
+    blockUser(targetUserId) {
+      return this.request('block-user', { targetUserId });
+    }
+
+    unblockUser(targetUserId) {
+      return this.request('unblock-user', { targetUserId });
+    }
+
+    // Chat
+
+    sendChat(channelId, text, { parentId, quoteId, attachmentIds } = {}) {
+      return this.request('chat', { channelId, text, parentId, quoteId, attachmentIds });
+    }
+
+    editChat(channelId, messageId, text) {
+      return this.request('chat-edit', { channelId, messageId, text });
+    }
+
+    deleteChat(channelId, messageId) {
+      return this.request('chat-delete', { channelId, messageId });
+    }
+
+    // Messages before beforeTs, newest first; with beforeId, the messages
+    // at beforeTs that page after that one are included
+    async fetchHistory(channelId, beforeTs, beforeId) {
+      const history = await this.request('fetch-history', { channelId, beforeTs, beforeId });
+      return history ? history.messages : [];
+    }
+
+    pageHistory(channelId, options) {
+      return new HistoryPager(this, channelId, options);
+    }
+
+    fetchThread(channelId, parentId, beforeTs) {
+      return this.request('fetch-thread', { channelId, parentId, beforeTs });
+    }
+
+    fetchCallHistory(channelId, { beforeTs, missedOnly } = {}) {
+      return this.request('fetch-call-history', { channelId, beforeTs, missedOnly });
+    }
+
+    searchHistory(channelId, { query, authorId, fromTs, toTs, cursor, limit } = {}) {
+      return this.request('search-history', { channelId, query, authorId, fromTs, toTs, cursor, limit });
+    }
+
+    requestUpload(channelId, { fileName, contentType, size }) {
+      return this.request('request-upload', { channelId, fileName, contentType, size });
+    }
+
+    setTyping(channelId, isTyping) {
+      return this.request('typing', { channelId, isTyping });
+    }
+
+    markRead(channelId, seq) {
+      return this.request('mark-read', { channelId, seq });
+    }
+
+    // Presence and clock
+
+    ping() {
+      return this.request('ping', { clientTs: Date.now() });
+    }
+
+    setStatus(status) {
+      return this.request('set-status', { status });
+    }
+
+    fetchPresence(userIds) {
+      return this.request('fetch-presence', { userIds });
+    }
+
+    // Moderation
+
+    kick(channelId, targetUserId, reason) {
+      return this.request('kick', { channelId, targetUserId, reason });
+    }
+
+    mute(channelId, targetUserId, { durationSeconds, reason } = {}) {
+      return this.request('mute', { channelId, targetUserId, durationSeconds, reason });
+    }
+
+    unmute(channelId, targetUserId, reason) {
+      return this.request('unmute', { channelId, targetUserId, reason });
+    }
+
+    block(channelId, targetUserId, reason) {
+      return this.request('block', { channelId, targetUserId, reason });
+    }
+
+    unblock(channelId, targetUserId, reason) {
+      return this.request('unblock', { channelId, targetUserId, reason });
+    }
+
+    // Calls and WebRTC signaling
+
+    inviteCall(channelId, targetUserId, media) {
+      return this.request('call-invite', { channelId, targetUserId, media });
+    }
+
+    acceptCall(channelId, callId) {
+      return this.request('call-accept', { channelId, callId });
+    }
+
+    rejectCall(channelId, targetUserId, callId) {
+      return this.request('call-rejected', { channelId, targetUserId, callId });
+    }
+
+    cancelCall(channelId, targetUserId, callId) {
+      return this.request('call-cancelled', { channelId, targetUserId, callId });
+    }
+
+    endCall(channelId, targetUserId, callId) {
+      return this.request('call-ended', { channelId, targetUserId, callId });
+    }
+
+    joinRoomCall(channelId) {
+      return this.request('room-call-join', { channelId });
+    }
+
+    leaveRoomCall(channelId) {
+      return this.request('room-call-leave', { channelId });
+    }
+
+    sendOffer(channelId, targetUserId, sdp) {
+      return this.request('webrtc-offer', { channelId, targetUserId, sdp });
+    }
+
+    sendAnswer(channelId, targetUserId, sdp) {
+      return this.request('webrtc-answer', { channelId, targetUserId, sdp });
+    }
+
+    sendIceCandidate(channelId, targetUserId, candidate) {
+      return this.request('webrtc-ice', { channelId, targetUserId, candidate });
+    }
+  }
+
+  // Walks a channel's history backwards page by page:
+  //   const pager = client.pageHistory('general');
+  //   while (pager.hasMore) render(await pager.next());
+  // or `for await (const page of client.pageHistory('general'))`.
+  class HistoryPager {
+    constructor(client, channelId, { beforeTs, beforeId } = {}) {
+      this.client = client;
+      this.channelId = channelId;
+      this.beforeTs = beforeTs;
+      this.beforeId = beforeId;
+      this.hasMore = true;
+    }
+
+    // The next older page, newest first; empty once the start is reached
+    async next() {
+      if (!this.hasMore) {
+        return [];
+      }
+
+      const messages = await this.client.fetchHistory(this.channelId, this.beforeTs, this.beforeId);
+      if (messages.length === 0) {
+        this.hasMore = false;
+        return messages;
+      }
+
+      // Pages are ordered by (ts, id), so the last message is the cursor
+      const oldest = messages[messages.length - 1];
+      this.beforeTs = oldest.ts;
+      this.beforeId = oldest.id;
+      return messages;
+    }
+
+    async* [Symbol.asyncIterator]() {
+      while (this.hasMore) {
+        const messages = await this.next();
+        if (messages.length > 0) {
+          yield messages;
+        }
+      }
+    }
+  }
+
+  // Keeps one RTCPeerConnection per remote user of a channel and drives the
+  // offer/answer/ICE exchange over the client:
+  // - one-to-one calls: the caller offers once the call turns active
+  // - room calls: offers go to `offerTo` of the roster and to newcomers that
+  //   list this user in `offerers`
+  // createPeerConnection(userId) returns an RTCPeerConnection, or any object
+  // with the same offer/answer methods, which lets the helper run against a
+  // server in the same process without WebRTC.
+  class PeerSignaling extends Emitter {
+    constructor(client, channelId, { createPeerConnection }) {
+      super();
+      this.client = client;
+      this.channelId = channelId;
+      this.createPeerConnection = createPeerConnection;
+      this.peers = new Map();
+      this.handlers = {
+        'webrtc-offer': (msg) => this.handleOffer(msg),
+        'webrtc-answer': (msg) => this.handleAnswer(msg),
+        'webrtc-ice': (msg) => this.handleIce(msg),
+        'call-state': (msg) => this.handleCallState(msg),
+        'room-call-roster': (msg) => this.handleRoster(msg),
+        'room-call-joined': (msg) => this.handleRoomJoined(msg),
+        'room-call-left': (msg) => this.close(msg.userId)
+      };
+      Object.keys(this.handlers).forEach((type) => {
+        client.on(type, this.handlers[type]);
+      });
+    }
+
+    // Stops listening and closes every peer connection
+    destroy() {
+      Object.keys(this.handlers).forEach((type) => {
+        this.client.off(type, this.handlers[type]);
+      });
+      Array.from(this.peers.keys()).forEach((userId) => this.close(userId));
+    }
+
+    isForChannel(msg) {
+      return msg.channelId === this.channelId;
+    }
+
+    getPeer(userId) {
+      let peer = this.peers.get(userId);
+      if (peer) {
+        return peer;
+      }
+
+      const connection = this.createPeerConnection(userId);
+      peer = { userId, connection, pendingCandidates: [], hasRemoteDescription: false };
+      this.peers.set(userId, peer);
+      connection.onicecandidate = (event) => {
+        if (event && event.candidate) {
+          const candidate = typeof event.candidate.toJSON === 'function'
+            ? event.candidate.toJSON()
+            : event.candidate;
+          this.send(() => this.client.sendIceCandidate(this.channelId, userId, candidate));
+        }
+      };
+      this.emit('peer', { userId, connection });
+      return peer;
+    }
+
+    send(sendSignal) {
+      sendSignal().catch((err) => this.emit('signaling-error', err));
+    }
+
+    // Starts the exchange with a user by sending them an offer
+    async connectTo(userId) {
+      const { connection } = this.getPeer(userId);
+      const offer = await connection.createOffer();
+      await connection.setLocalDescription(offer);
+      await this.client.sendOffer(this.channelId, userId, connection.localDescription || offer);
+    }
+
+    close(userId) {
+      const peer = this.peers.get(userId);
+      if (!peer) {
+        return;
+      }
+
+      this.peers.delete(userId);
+      if (typeof peer.connection.close === 'function') {
+        peer.connection.close();
+      }
+      this.emit('peer-closed', { userId });
+    }
+
+    async setRemoteDescription(peer, description) {
+      await peer.connection.setRemoteDescription(description);
+      peer.hasRemoteDescription = true;
+      const candidates = peer.pendingCandidates.splice(0);
+      for (const candidate of candidates) {
+        await peer.connection.addIceCandidate(candidate);
+      }
+    }
+
+    async handleOffer(msg) {
+      if (!this.isForChannel(msg)) {
+        return;
+      }
+
+      try {
+        const peer = this.getPeer(msg.fromUserId);
+        await this.setRemoteDescription(peer, msg.sdp);
+        const answer = await peer.connection.createAnswer();
+        await peer.connection.setLocalDescription(answer);
+        await this.client.sendAnswer(this.channelId, msg.fromUserId, peer.connection.localDescription || answer);
+      } catch (err) {
+        this.emit('signaling-error', err);
+      }
+    }
+
+    async handleAnswer(msg) {
+      const peer = this.isForChannel(msg) && this.peers.get(msg.fromUserId);
+      if (!peer) {
+        return;
+      }
+
+      try {
+        await this.setRemoteDescription(peer, msg.sdp);
+      } catch (err) {
+        this.emit('signaling-error', err);
+      }
+    }
+
+    async handleIce(msg) {
+      const peer = this.isForChannel(msg) && this.peers.get(msg.fromUserId);
+      if (!peer || !msg.ice) {
+        return;
+      }
+
+      // Candidates can overtake the description they belong to
+      if (!peer.hasRemoteDescription) {
+        peer.pendingCandidates.push(msg.ice);
+        return;
+      }
+
+      try {
+        await peer.connection.addIceCandidate(msg.ice);
+      } catch (err) {
+        this.emit('signaling-error', err);
+      }
+    }
+
+    handleCallState(msg) {
+      if (!this.isForChannel(msg)) {
+        return;
+      }
+
+      const isCaller = msg.callerId === this.client.userId;
+      const otherUserId = isCaller ? msg.calleeId : msg.callerId;
+      if (msg.state === 'active' && isCaller) {
+        this.send(() => this.connectTo(otherUserId));
+      } else if (msg.state === 'ended') {
+        this.close(otherUserId);
+      }
+    }
+
+    handleRoster(msg) {
+      if (!this.isForChannel(msg)) {
+        return;
+      }
+
+      (msg.offerTo || []).forEach((userId) => {
+        this.send(() => this.connectTo(userId));
+      });
+    }
+
+    handleRoomJoined(msg) {
+      // The newcomer receives its own join too; its offers follow the roster
+      if (!this.isForChannel(msg) || !msg.participant || msg.participant.userId === this.client.userId) {
+        return;
+      }
+
+      if ((msg.offerers || []).includes(this.client.userId)) {
+        this.send(() => this.connectTo(msg.participant.userId));
+      }
+    }
+  }
+
+  return {
+    WcpClient,
+    WcpError,
+    HistoryPager,
+    PeerSignaling,
+    SUBPROTOCOL
+  };
+}));
@@ -0,0 +1,18 @@
+// Picks the storage/auth provider from STORAGE_PROVIDER. Providers are
+// required lazily so `firebase-admin` is only loaded when it is used.
+const PROVIDERS = {
+  firebase: () => require('./firebaseAccess'),
+  local: () => require('./localAccess')
+};
+
+const createDataAccess = (providerName = process.env.STORAGE_PROVIDER || 'firebase') => {
+  const loadProvider = PROVIDERS[providerName.toLowerCase()];
+  if (!loadProvider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${providerName}"`);
+  }
+
+  const Provider = loadProvider();
+  return new Provider();
+};
+
+module.exports = createDataAccess();
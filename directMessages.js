@@ -0,0 +1,86 @@
+// Direct-message conversations between two users. A conversation ID is
+// derived from the sorted pair of user IDs, so both sides always get the same
+// one, and it doubles as the channelId used by chat, history and call
+// messages. Channel IDs starting with `dm:` are reserved for them.
+//
+// Users keep `blockedUserIds` in their profile; a block on either side stops
+// the conversation.
+const DIRECT_CONVERSATION_PREFIX = 'dm:';
+const LAST_MESSAGE_PREVIEW_LENGTH = 200;
+
+const getDirectConversationId = (userIdA, userIdB) => {
+  const [first, second] = [userIdA, userIdB].map(String).sort();
+  return `${DIRECT_CONVERSATION_PREFIX}${encodeURIComponent(first)}:${encodeURIComponent(second)}`;
+};
+
+const isDirectConversationId = (channelId) =>
+  typeof channelId === 'string' && channelId.startsWith(DIRECT_CONVERSATION_PREFIX);
+
+// The two user IDs of a conversation, or null for anything else
+const parseDirectConversationId = (channelId) => {
+  if (!isDirectConversationId(channelId)) {
+    return null;
+  }
+
+  const parts = channelId.slice(DIRECT_CONVERSATION_PREFIX.length).split(':');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  try {
+    const participantIds = parts.map(decodeURIComponent);
+    return getDirectConversationId(...participantIds) === channelId ? participantIds : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Stand-in channel definition, so channel access checks cover conversations
+const toDirectChannelDef = (channelId) => {
+  const participantIds = parseDirectConversationId(channelId);
+  if (!participantIds) {
+    return null;
+  }
+
+  return {
+    id: channelId,
+    name: 'Direct message',
+    isPublic: false,
+    isDirect: true,
+    members: participantIds.map((userId) => ({ userId, role: 'staff' }))
+  };
+};
+
+const getOtherParticipantId = (channelId, userId) => {
+  const participantIds = parseDirectConversationId(channelId) || [];
+  return participantIds.find((participantId) => participantId !== userId) || userId;
+};
+
+const hasBlocked = (profile, userId) =>
+  Array.isArray(profile?.blockedUserIds) && profile.blockedUserIds.includes(userId);
+
+// Summary kept per conversation for the recent conversations list
+const toConversationSummary = (channelId, message) => ({
+  conversationId: channelId,
+  participantIds: parseDirectConversationId(channelId),
+  lastMessageAt: message.ts,
+  lastMessageSeq: message.seq,
+  lastMessage: {
+    id: message.id,
+    userId: message.userId,
+    from: message.from,
+    text: String(message.text || '').slice(0, LAST_MESSAGE_PREVIEW_LENGTH),
+    hasAttachments: Array.isArray(message.attachments) && message.attachments.length > 0,
+    ts: message.ts
+  }
+});
+
+module.exports = {
+  getDirectConversationId,
+  isDirectConversationId,
+  parseDirectConversationId,
+  toDirectChannelDef,
+  getOtherParticipantId,
+  hasBlocked,
+  toConversationSummary
+};
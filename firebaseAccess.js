@@ -1,58 +1,39 @@
-const EventEmitter = require('events');
 const frbAdmin = require('firebase-admin');
-
-class FirebaseAccess extends EventEmitter {
+const BaseAccess = require('./baseAccess');
+const { isDirectConversationId } = require('./directMessages');
+const { getFirebaseApp } = require('./firebaseApp');
+const { createLogger } = require('./logger');
+const { matchesSearchCriteria, toMessageCursor, tokenize } = require('./messageSearch');
+
+const log = createLogger('firebaseAccess');
+const SEARCH_SCAN_BATCH = 100;
+const SEARCH_MAX_SCANNED = 1000;
+// Sequence numbers come from one counter document per channel
+const SEQ_TRANSACTION_ATTEMPTS = 10;
+// gRPC codes Firestore fails contended transactions with: ABORTED,
+// RESOURCE_EXHAUSTED and DEADLINE_EXCEEDED
+const CONTENTION_ERROR_CODES = new Set([10, 8, 4]);
+
+class FirebaseAccess extends BaseAccess {
   constructor() {
     super();
-    this.channelCache = new Map();
     this.userProfileEntries = new Map();
     this.channelWatcherStarted = false;
+    this.channelWatcherUnsubscribe = null;
 
-    this.frbCredential = this.createCredential();
-    this.frbApp = frbAdmin.apps.length
-      ? frbAdmin.app()
-      : frbAdmin.initializeApp({
-          credential: this.frbCredential
-        });
+    this.frbApp = getFirebaseApp();
 
     this.frbAuth = this.frbApp.auth();
     this.frbDb = this.frbApp.firestore();
     this.frbChannelsDocRef = this.frbDb.collection('config').doc('channels');
     this.frbUsersCollection = this.frbDb.collection('users');
+    this.frbDirectMessagesCollection = this.frbDb.collection('directMessages');
 
     this.startChannelWatcher();
   }
 
-  createCredential() {
-    const json = process.env.FIREBASE_SERVICE_ACCOUNT;
-    if (json) {
-      try {
-        const parsed = JSON.parse(json);
-        return frbAdmin.credential.cert(parsed);
-      } catch (err) {
-        console.error('Invalid FIREBASE_SERVICE_ACCOUNT JSON', err);
-        throw err;
-      }
-    }
-
-    const base64 =
-      process.env.FIREBASE_SERVICE_ACCOUNT_B64 || process.env.FIREBASE_SERVICE_ACCOUNT_BASE64;
-    if (base64) {
-      try {
-        const decoded = Buffer.from(base64, 'base64').toString('utf8');
-        const parsed = JSON.parse(decoded);
-        return frbAdmin.credential.cert(parsed);
-      } catch (err) {
-        console.error('Invalid FIREBASE_SERVICE_ACCOUNT_B64 value', err);
-        throw err;
-      }
-    }
-
-    return frbAdmin.credential.applicationDefault();
-  }
-
-  verifyIdToken(token) {
-    return this.frbAuth.verifyIdToken(token);
+  verifyIdToken(token, checkRevoked = false) {
+    return this.frbAuth.verifyIdToken(token, checkRevoked);
   }
 
   startChannelWatcher() {
@@ -61,87 +42,73 @@ class FirebaseAccess extends EventEmitter {
     }
     this.channelWatcherStarted = true;
 
-    this.frbChannelsDocRef.onSnapshot(
+    this.channelWatcherUnsubscribe = this.frbChannelsDocRef.onSnapshot(
       (snapshot) => {
         const data = snapshot.data();
         const channels = this.extractChannelsArray(data);
+        this.updateRoleDefinitions(data?.roles);
         this.updateChannelCache(channels);
       },
       (err) => {
-        console.error('Channel watcher error', err);
+        log.error('Channel watcher error', err);
       }
     );
   }
 
-  updateChannelCache(channels) {
-    const nextMap = new Map();
-    channels.forEach((channel) => {
-      if (channel && channel.id) {
-        nextMap.set(channel.id, channel);
-      }
-    });
-
-    this.channelCache = nextMap;
-    this.emit('channels-updated', this.getAllChannels());
-  }
-
-  getAllChannels() {
-    return Array.from(this.channelCache.values());
-  }
-
-  getCachedChannel(channelId) {
-    if (!channelId) {
-      return null;
-    }
-
-    return this.channelCache.get(channelId) || null;
-  }
-
-  async fetchChannelDefinition(channelId) {
-    if (!channelId) {
-      return null;
+  async close() {
+    if (this.channelWatcherUnsubscribe) {
+      this.channelWatcherUnsubscribe();
+      this.channelWatcherUnsubscribe = null;
     }
 
-    const cached = this.getCachedChannel(channelId);
-    if (cached) {
-      return cached;
-    }
+    this.userProfileEntries.forEach((entry) => {
+      if (entry.unsubscribe) {
+        entry.unsubscribe();
+      }
+    });
+    this.userProfileEntries.clear();
 
-    await this.loadChannelCache();
-    return this.getCachedChannel(channelId);
+    await this.flushWrites();
+    await this.frbDb.terminate();
   }
 
   async loadChannelCache() {
     try {
       const snapshot = await this.frbChannelsDocRef.get();
       if (!snapshot.exists) {
+        this.updateRoleDefinitions(null);
         this.updateChannelCache([]);
         return;
       }
 
       const data = snapshot.data();
       const channels = this.extractChannelsArray(data);
+      this.updateRoleDefinitions(data.roles);
       this.updateChannelCache(channels);
     } catch (err) {
-      console.error('Failed to fetch channel config', err);
+      log.error('Failed to fetch channel config', err);
       throw err;
     }
   }
 
-  extractChannelsArray(data) {
-    if (!data) {
-      return [];
-    }
-
-    if (Array.isArray(data.channels)) {
-      return data.channels;
-    }
-
-    if (Array.isArray(data.items)) {
-      return data.items;
-    }
+  async updateChannelMember(channelId, userId, changes) {
+    const channels = await this.trackWrite(this.frbDb.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(this.frbChannelsDocRef);
+      const data = snapshot.exists ? snapshot.data() : {};
+      const field = !Array.isArray(data?.channels) && Array.isArray(data?.items) ? 'items' : 'channels';
+      const nextChannels = this.applyChannelMemberChange(
+        this.extractChannelsArray(data),
+        channelId,
+        userId,
+        changes
+      );
+      transaction.set(this.frbChannelsDocRef, { [field]: nextChannels }, { merge: true });
+      return nextChannels;
+    }));
 
-    return [];
+    // Apply locally right away; the snapshot listener confirms it later
+    this.updateChannelCache(channels);
+    return this.getCachedChannel(channelId);
   }
 
   async fetchUserProfile(userId) {
@@ -149,16 +116,11 @@ class FirebaseAccess extends EventEmitter {
       return null;
     }
 
-    try {
-      const doc = await this.frbUsersCollection.doc(userId).get();
-      if (!doc.exists) {
-        return null;
-      }
-      return doc.data() || null;
-    } catch (err) {
-      console.error('Failed to fetch user profile', err);
+    const doc = await this.frbUsersCollection.doc(userId).get();
+    if (!doc.exists) {
       return null;
     }
+    return doc.data() || null;
   }
 
   subscribeToUserProfile(userId, handler) {
@@ -181,12 +143,12 @@ class FirebaseAccess extends EventEmitter {
             try {
               cb(entry.latest);
             } catch (err) {
-              console.error('User profile handler failed', err);
+              log.error('User profile handler failed', err);
             }
           });
         },
         (err) => {
-          console.error('User profile watcher error', err);
+          log.error('User profile watcher error', err);
         }
       );
 
@@ -198,7 +160,7 @@ class FirebaseAccess extends EventEmitter {
       try {
         handler(entry.latest);
       } catch (err) {
-        console.error('User profile handler failed', err);
+        log.error('User profile handler failed', err);
       }
     }
 
@@ -218,15 +180,77 @@ class FirebaseAccess extends EventEmitter {
     };
   }
 
-  getChannelMessagesCollection(channelId) {
+  // Summaries are written next to lastSeq; a late write never replaces a
+  // newer message
+  async saveDirectConversationSummary(conversationId, summary) {
+    const docRef = this.getChannelDocRef(conversationId);
+    await this.trackWrite(this.frbDb.runTransaction(async (tx) => {
+      const snapshot = await tx.get(docRef);
+      const lastMessageAt = snapshot.exists ? Number(snapshot.get('lastMessageAt')) || 0 : 0;
+      if (summary.lastMessageAt >= lastMessageAt) {
+        tx.set(docRef, summary, { merge: true });
+      }
+    }));
+  }
+
+  async fetchDirectConversations(userId, { limit = 20, beforeTs } = {}) {
+    let query = this.frbDirectMessagesCollection
+      .where('participantIds', 'array-contains', userId)
+      .orderBy('lastMessageAt', 'desc');
+    if (typeof beforeTs === 'number') {
+      query = query.where('lastMessageAt', '<', beforeTs);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map((doc) => {
+      const { conversationId, participantIds, lastMessageAt, lastMessageSeq, lastMessage } = doc.data();
+      return { conversationId, participantIds, lastMessageAt, lastMessageSeq, lastMessage };
+    });
+  }
+
+  async setUserBlocked(userId, targetUserId, isBlocked) {
+    const { FieldValue } = frbAdmin.firestore;
+    await this.trackWrite(this.frbUsersCollection.doc(userId).set(
+      {
+        blockedUserIds: isBlocked
+          ? FieldValue.arrayUnion(targetUserId)
+          : FieldValue.arrayRemove(targetUserId)
+      },
+      { merge: true }
+    ));
+  }
+
+  async saveUserPresence(userId, fields) {
+    await this.trackWrite(this.frbUsersCollection.doc(userId).set(fields, { merge: true }));
+  }
+
+  async saveReadPosition(userId, channelId, position) {
+    if (!userId || !channelId) {
+      return;
+    }
+
+    await this.trackWrite(this.frbUsersCollection.doc(userId).set(
+      { readPositions: { [channelId]: position } },
+      { merge: true }
+    ));
+  }
+
+  // Conversations live under directMessages/{conversationId}, with their
+  // messages, calls, lastSeq and summary fields
+  getChannelDocRef(channelId) {
     if (!channelId) {
       throw new Error('channelId is required');
     }
 
-    return this.frbDb
-      .collection('channelMessages')
-      .doc(channelId)
-      .collection('messages');
+    if (isDirectConversationId(channelId)) {
+      return this.frbDirectMessagesCollection.doc(channelId);
+    }
+
+    return this.frbDb.collection('channelMessages').doc(channelId);
+  }
+
+  getChannelMessagesCollection(channelId) {
+    return this.getChannelDocRef(channelId).collection('messages');
   }
 
   async saveChatMessage(channelId, message) {
@@ -236,38 +260,261 @@ class FirebaseAccess extends EventEmitter {
 
     const doc = {
       ...message,
-      channelId
+      channelId,
+      searchTokens: tokenize(message.text)
     };
 
-    try {
-      await this.getChannelMessagesCollection(channelId).add(doc);
-    } catch (err) {
-      console.error('Failed to persist chat message', err);
-    }
+    const collection = this.getChannelMessagesCollection(channelId);
+    await this.trackWrite(doc.id ? collection.doc(doc.id).set(doc) : collection.add(doc));
     return null;
   }
 
-  async fetchRecentMessages(channelId, limit = 8, beforeTs) {
+  // Messages stored before IDs were assigned by the server use the document ID;
+  // the search index stays in Firestore
+  toChatMessage(doc) {
+    const { searchTokens, ...data } = doc.data();
+    return {
+      id: doc.id,
+      ...data
+    };
+  }
+
+  async fetchChatMessage(channelId, messageId) {
+    if (!channelId || !messageId) {
+      return null;
+    }
+
+    const doc = await this.getChannelMessagesCollection(channelId).doc(messageId).get();
+    return doc.exists ? this.toChatMessage(doc) : null;
+  }
+
+  // One batched write per call, so `limit` must stay within a batch's 500
+  // writes
+  async purgeMessagesBefore(channelId, cutoffTs, limit = 200) {
     if (!channelId) {
       return [];
     }
 
-    try {
-      let query = this.getChannelMessagesCollection(channelId).orderBy('ts', 'desc');
+    const snapshot = await this.getChannelMessagesCollection(channelId)
+      .where('ts', '<', cutoffTs)
+      .orderBy('ts', 'asc')
+      .limit(limit)
+      .get();
+    if (snapshot.empty) {
+      return [];
+    }
+
+    const batch = this.frbDb.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await this.trackWrite(batch.commit());
+    return snapshot.docs.map((doc) => this.toChatMessage(doc));
+  }
 
-      if (typeof beforeTs === 'number') {
-        query = query.where('ts', '<', beforeTs);
+  async updateChatMessage(channelId, messageId, applyChange) {
+    const docRef = this.getChannelMessagesCollection(channelId).doc(messageId);
+    return this.trackWrite(this.frbDb.runTransaction(async (tx) => {
+      const doc = await tx.get(docRef);
+      if (!doc.exists) {
+        throw new Error('Message not found');
       }
 
-      query = query.limit(limit);
+      const next = applyChange(this.toChatMessage(doc));
+      tx.set(docRef, {
+        ...next,
+        searchTokens: next.deleted ? [] : tokenize(next.text)
+      });
+      return next;
+    }));
+  }
+
+  async editChatMessage(channelId, messageId, text, editedBy) {
+    return this.updateChatMessage(channelId, messageId, (message) =>
+      this.applyMessageEdit(message, text, editedBy)
+    );
+  }
+
+  async deleteChatMessage(channelId, messageId, deletedBy) {
+    return this.updateChatMessage(channelId, messageId, (message) =>
+      this.applyMessageTombstone(message, deletedBy)
+    );
+  }
+
+  async recordThreadReply(channelId, parentId, replyTs) {
+    return this.updateChatMessage(channelId, parentId, (message) =>
+      this.applyThreadReply(message, replyTs)
+    );
+  }
+
+  async fetchThreadMessages(channelId, parentId, limit = 8, beforeTs) {
+    if (!channelId || !parentId) {
+      return [];
+    }
+
+    let query = this.getChannelMessagesCollection(channelId)
+      .where('parentId', '==', parentId)
+      .orderBy('ts', 'desc');
+
+    if (typeof beforeTs === 'number') {
+      query = query.where('ts', '<', beforeTs);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map((doc) => this.toChatMessage(doc));
+  }
+
+  async fetchRecentMessages(channelId, limit = 8, before) {
+    if (!channelId) {
+      return [];
+    }
+
+    let query = this.getChannelMessagesCollection(channelId)
+      .orderBy('ts', 'desc')
+      .orderBy(frbAdmin.firestore.FieldPath.documentId(), 'desc');
+
+    if (before && before.id === undefined) {
+      query = query.where('ts', '<', before.ts);
+    } else if (before) {
+      query = query.startAfter(before.ts, before.id);
+    }
+
+    query = query.limit(limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map((doc) => this.toChatMessage(doc));
+  }
+
+  getChannelCallsCollection(channelId) {
+    if (!channelId) {
+      throw new Error('channelId is required');
+    }
+
+    if (isDirectConversationId(channelId)) {
+      return this.getChannelDocRef(channelId).collection('calls');
+    }
 
-      const snapshot = await query.get();
-      return snapshot.docs.map((doc) => doc.data());
+    return this.frbDb.collection('channelCalls').doc(channelId).collection('calls');
+  }
+
+  async saveCallRecord(channelId, record) {
+    await this.trackWrite(this.getChannelCallsCollection(channelId).doc(record.callId).set({
+      ...record,
+      channelId
+    }));
+  }
+
+  async fetchCallHistory(channelId, { limit = 8, beforeTs, participantId, missedBy } = {}) {
+    let query = this.getChannelCallsCollection(channelId).orderBy('createdAt', 'desc');
+    if (participantId) {
+      query = query.where('participantIds', 'array-contains', participantId);
+    }
+    if (missedBy) {
+      query = query.where('missedBy', '==', missedBy);
+    }
+    if (typeof beforeTs === 'number') {
+      query = query.where('createdAt', '<', beforeTs);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  // Firestore narrows by the first term and author; the remaining criteria
+  // are checked here while scanning at most SEARCH_MAX_SCANNED messages. A
+  // page cut short by that cap continues after the last scanned message.
+  async searchMessages(channelId, criteria) {
+    const { terms = [], userId, fromTs, toTs, before, limit = 20 } = criteria;
+    let query = this.getChannelMessagesCollection(channelId)
+      .orderBy('ts', 'desc')
+      .orderBy(frbAdmin.firestore.FieldPath.documentId(), 'desc');
+    if (terms.length > 0) {
+      query = query.where('searchTokens', 'array-contains', terms[0]);
+    }
+    if (userId) {
+      query = query.where('userId', '==', userId);
+    }
+    if (typeof fromTs === 'number') {
+      query = query.where('ts', '>=', fromTs);
+    }
+    if (typeof toTs === 'number') {
+      query = query.where('ts', '<=', toTs);
+    }
+    if (before && before.id === undefined) {
+      query = query.where('ts', '<', before.ts);
+    } else if (before) {
+      query = query.startAfter(before.ts, before.id);
+    }
+
+    const messages = [];
+    let scanned = 0;
+    let lastDoc = null;
+    while (scanned < SEARCH_MAX_SCANNED) {
+      const page = lastDoc ? query.startAfter(lastDoc.get('ts'), lastDoc.id) : query;
+      const snapshot = await page.limit(SEARCH_SCAN_BATCH).get();
+      for (const doc of snapshot.docs) {
+        scanned += 1;
+        lastDoc = doc;
+        const message = this.toChatMessage(doc);
+        if (matchesSearchCriteria(message, criteria)) {
+          messages.push(message);
+          if (messages.length === limit) {
+            return { messages, nextBefore: toMessageCursor(message) };
+          }
+        }
+      }
+
+      if (snapshot.size < SEARCH_SCAN_BATCH) {
+        return { messages, nextBefore: null };
+      }
+    }
+
+    return { messages, nextBefore: { ts: lastDoc.get('ts'), id: lastDoc.id } };
+  }
+
+  // Every message increments `lastSeq` on the channel document, which keeps
+  // seq gapless and in send order across instances. Firestore sustains about
+  // one write per second per document, so bursts above that contend: the
+  // transaction is retried with Firestore's backoff, and an error that is
+  // still down to contention is flagged `retryable`.
+  async nextMessageSeq(channelId) {
+    const channelDocRef = this.getChannelDocRef(channelId);
+    try {
+      return await this.trackWrite(this.frbDb.runTransaction(async (tx) => {
+        const snapshot = await tx.get(channelDocRef);
+        const lastSeq = snapshot.exists ? Number(snapshot.get('lastSeq')) || 0 : 0;
+        const nextSeq = lastSeq + 1;
+        tx.set(channelDocRef, { lastSeq: nextSeq }, { merge: true });
+        return nextSeq;
+      }, { maxAttempts: SEQ_TRANSACTION_ATTEMPTS }));
     } catch (err) {
-      console.error('Failed to fetch chat history', err);
+      if (CONTENTION_ERROR_CODES.has(err.code)) {
+        err.retryable = true;
+      }
+      throw err;
+    }
+  }
+
+  async fetchLatestMessageSeq(channelId) {
+    const snapshot = await this.getChannelDocRef(channelId).get();
+    return snapshot.exists ? Number(snapshot.get('lastSeq')) || 0 : 0;
+  }
+
+  async fetchMessagesAfterSeq(channelId, afterSeq = 0, limit = 100) {
+    if (!channelId) {
       return [];
     }
+
+    try {
+      const snapshot = await this.getChannelMessagesCollection(channelId)
+        .where('seq', '>', afterSeq)
+        .orderBy('seq', 'asc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map((doc) => this.toChatMessage(doc));
+    } catch (err) {
+      log.error('Failed to fetch messages after seq', err);
+      throw err;
+    }
   }
 }
 
-module.exports = new FirebaseAccess();
+module.exports = FirebaseAccess;
@@ -0,0 +1,44 @@
+const frbAdmin = require('firebase-admin');
+const { createLogger } = require('./logger');
+
+const log = createLogger('firebaseApp');
+
+// The one Firebase app of the process, shared by the storage provider and the
+// attachment store. Credentials come from FIREBASE_SERVICE_ACCOUNT (JSON),
+// FIREBASE_SERVICE_ACCOUNT_B64 or the application default credentials.
+const createCredential = () => {
+  const json = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (json) {
+    try {
+      const parsed = JSON.parse(json);
+      return frbAdmin.credential.cert(parsed);
+    } catch (err) {
+      log.error('Invalid FIREBASE_SERVICE_ACCOUNT JSON', err);
+      throw err;
+    }
+  }
+
+  const base64 =
+    process.env.FIREBASE_SERVICE_ACCOUNT_B64 || process.env.FIREBASE_SERVICE_ACCOUNT_BASE64;
+  if (base64) {
+    try {
+      const decoded = Buffer.from(base64, 'base64').toString('utf8');
+      const parsed = JSON.parse(decoded);
+      return frbAdmin.credential.cert(parsed);
+    } catch (err) {
+      log.error('Invalid FIREBASE_SERVICE_ACCOUNT_B64 value', err);
+      throw err;
+    }
+  }
+
+  return frbAdmin.credential.applicationDefault();
+};
+
+const getFirebaseApp = () =>
+  frbAdmin.apps.length
+    ? frbAdmin.app()
+    : frbAdmin.initializeApp({
+        credential: createCredential()
+      });
+
+module.exports = { getFirebaseApp };
@@ -0,0 +1,73 @@
+const { pipeline } = require('stream/promises');
+const BaseAttachmentStore = require('./baseAttachmentStore');
+const { getFirebaseApp } = require('./firebaseApp');
+
+// Stores attachments in a Cloud Storage bucket as `attachments/<id>`, with the
+// metadata record kept in the object's custom metadata. The bucket is opened
+// on first use, through the app of the storage provider.
+class FirebaseAttachmentStore extends BaseAttachmentStore {
+  constructor({ bucketName }) {
+    super();
+    this.bucketName = bucketName || null;
+    this.bucket = null;
+  }
+
+  checkConfiguration() {
+    if (!this.bucketName) {
+      throw new Error('FIREBASE_STORAGE_BUCKET must be set to store attachments in Cloud Storage');
+    }
+  }
+
+  getBucket() {
+    if (!this.bucket) {
+      this.checkConfiguration();
+      this.bucket = getFirebaseApp().storage().bucket(this.bucketName);
+    }
+    return this.bucket;
+  }
+
+  getFile(attachmentId) {
+    return this.getBucket().file(`attachments/${attachmentId}`);
+  }
+
+  async save(metadata, source) {
+    const file = this.getFile(metadata.id);
+    try {
+      await pipeline(source, file.createWriteStream({
+        resumable: false,
+        metadata: {
+          contentType: metadata.contentType,
+          metadata: {
+            attachment: JSON.stringify(metadata)
+          }
+        }
+      }));
+    } catch (err) {
+      await file.delete({ ignoreNotFound: true }).catch(() => {});
+      throw err;
+    }
+  }
+
+  async fetchMetadata(attachmentId) {
+    try {
+      const [objectMetadata] = await this.getFile(attachmentId).getMetadata();
+      const raw = objectMetadata.metadata && objectMetadata.metadata.attachment;
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      if (err.code === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  createReadStream(attachmentId) {
+    return this.getFile(attachmentId).createReadStream();
+  }
+
+  async delete(attachmentId) {
+    await this.getFile(attachmentId).delete({ ignoreNotFound: true });
+  }
+}
+
+module.exports = FirebaseAttachmentStore;
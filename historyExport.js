@@ -0,0 +1,125 @@
+// Channel transcripts for auditors. A transcript is streamed page by page
+// through fetchRecentMessages with a (ts, id) cursor, so it comes out newest
+// first like history pages, and is written as JSON, CSV or plain text.
+const { toMessageCursor } = require('./messageSearch');
+
+const EXPORT_PAGE_SIZE = 100;
+const CSV_COLUMNS = ['id', 'seq', 'time', 'userId', 'from', 'text', 'parentId', 'attachments', 'editedAt', 'deleted'];
+// Spreadsheet apps run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toIsoTime = (ts) => (typeof ts === 'number' ? new Date(ts).toISOString() : '');
+
+const toCsvCell = (value) => {
+  let cell = value === undefined || value === null ? '' : String(value);
+  if (CSV_FORMULA_PREFIX.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+const toCsvRow = (cells) => `${cells.map(toCsvCell).join(',')}\r\n`;
+
+const listAttachmentNames = (message) =>
+  (Array.isArray(message.attachments) ? message.attachments : []).map((attachment) => attachment.fileName);
+
+const formatTranscriptLine = (message) => {
+  const notes = [];
+  if (message.parentId) {
+    notes.push(`reply to ${message.parentId}`);
+  }
+  if (message.editedAt) {
+    notes.push(`edited ${toIsoTime(message.editedAt)}`);
+  }
+  const text = message.deleted ? '[message deleted]' : String(message.text || '');
+  const attachments = listAttachmentNames(message).map((fileName) => `[attachment: ${fileName}]`);
+  const body = [text, ...attachments].filter(Boolean).join(' ').replace(/\r?\n/g, '\n    ');
+  const suffix = notes.length > 0 ? ` (${notes.join(', ')})` : '';
+  return `[${toIsoTime(message.ts)}] ${message.from || message.userId}: ${body}${suffix}\n`;
+};
+
+// Each format turns the export details and the messages into chunks of text
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    start: (details) => `${JSON.stringify(details).slice(0, -1)},"messages":[`,
+    formatMessage: (message, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(message)}`,
+    end: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    start: () => toCsvRow(CSV_COLUMNS),
+    formatMessage: (message) => toCsvRow([
+      message.id,
+      message.seq,
+      toIsoTime(message.ts),
+      message.userId,
+      message.from,
+      message.deleted ? '' : message.text,
+      message.parentId,
+      listAttachmentNames(message).join('; '),
+      toIsoTime(message.editedAt),
+      message.deleted ? 'true' : ''
+    ]),
+    end: () => ''
+  },
+  text: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    start: (details) => [
+      `Channel: ${details.channelName} (${details.channelId})`,
+      `From: ${toIsoTime(details.fromTs) || 'start'}`,
+      `To: ${toIsoTime(details.toTs) || 'now'}`,
+      `Exported: ${toIsoTime(details.exportedAt)} by ${details.exportedBy}`,
+      '',
+      ''
+    ].join('\n'),
+    formatMessage: formatTranscriptLine,
+    end: () => ''
+  }
+};
+
+// Yields the messages of a channel sent between fromTs and toTs (both
+// inclusive and optional), newest first. Storage errors are thrown rather
+// than ending the transcript early.
+async function* iterateChannelHistory(fetchRecentMessages, channelId, { fromTs, toTs } = {}) {
+  let before = typeof toTs === 'number' ? { ts: toTs + 1 } : undefined;
+  while (true) {
+    const messages = await fetchRecentMessages(channelId, EXPORT_PAGE_SIZE, before);
+    for (const message of messages) {
+      if (typeof fromTs === 'number' && message.ts < fromTs) {
+        return;
+      }
+      yield message;
+    }
+
+    if (messages.length < EXPORT_PAGE_SIZE) {
+      return;
+    }
+    before = toMessageCursor(messages[messages.length - 1]);
+  }
+}
+
+// Yields the export as chunks of text in the given format
+async function* renderChannelExport(format, details, messages) {
+  const { start, formatMessage, end } = EXPORT_FORMATS[format];
+  yield start(details);
+  let index = 0;
+  for await (const message of messages) {
+    yield formatMessage(message, index);
+    index += 1;
+  }
+  yield end(details);
+}
+
+const getExportFileName = (channelId, format) =>
+  `${channelId.replace(/[^A-Za-z0-9_-]/g, '_')}-history.${EXPORT_FORMATS[format].extension}`;
+
+module.exports = {
+  EXPORT_FORMATS,
+  iterateChannelHistory,
+  renderChannelExport,
+  getExportFileName
+};
@@ -0,0 +1,553 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  getContentDisposition,
+  normalizeContentType,
+  toAttachmentPayload,
+  verifyUploadToken
+} = require('./attachments');
+const {
+  EXPORT_FORMATS,
+  getExportFileName,
+  iterateChannelHistory,
+  renderChannelExport
+} = require('./historyExport');
+const { createLogger } = require('./logger');
+const { CAPABILITIES, assertCapability } = require('./permissions');
+const { ERROR_CODES, MESSAGE_SCHEMAS, ProtocolError, validateMessage } = require('./protocol');
+
+const log = createLogger('httpApi');
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+const HTTP_STATUS_BY_CODE = {
+  [ERROR_CODES.INVALID_JSON]: 400,
+  [ERROR_CODES.INVALID_MESSAGE]: 400,
+  [ERROR_CODES.UNAUTHENTICATED]: 401,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.BLOCKED]: 403,
+  [ERROR_CODES.NOT_JOINED]: 403,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.CHANNEL_FULL]: 409,
+  [ERROR_CODES.TOO_LARGE]: 413,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.UNAVAILABLE]: 503
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+};
+
+const sendError = (res, err) => {
+  const code = err instanceof ProtocolError ? err.code : ERROR_CODES.INTERNAL;
+  const message = err instanceof ProtocolError ? err.message : 'Unexpected server error';
+  const headers = err.retryAfterMs
+    ? { 'Retry-After': String(Math.ceil(err.retryAfterMs / 1000)) }
+    : {};
+  sendJson(res, HTTP_STATUS_BY_CODE[code] || 500, { error: { code, message } }, headers);
+};
+
+const readJsonBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new ProtocolError(ERROR_CODES.TOO_LARGE, 'Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('Body must be a JSON object');
+        }
+        resolve(body);
+      } catch (err) {
+        reject(new ProtocolError(ERROR_CODES.INVALID_JSON, 'Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const parseOptionalNumber = (raw, field) => {
+  if (raw === null || raw === '') {
+    return undefined;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Query parameter "${field}" must be a number`);
+  }
+  return value;
+};
+
+// Yields the request body while it stays within `size`; the store only
+// completes the upload when exactly `size` bytes arrived
+async function* readExactly(req, size) {
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > size) {
+      throw new ProtocolError(ERROR_CODES.TOO_LARGE, 'Upload is larger than requested');
+    }
+    yield chunk;
+  }
+
+  if (received !== size) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Upload is smaller than requested');
+  }
+}
+
+const decodePathParam = (raw) => {
+  try {
+    return decodeURIComponent(raw);
+  } catch (err) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Malformed path');
+  }
+};
+
+// REST endpoints served next to the WebSocket server on the same port.
+// server.js passes in the pieces of the chat server the routes build on, so
+// HTTP requests go through the same access checks as socket messages.
+const createHttpApi = ({
+  dataAccess,
+  broker,
+  rateLimiter,
+  verifyUserIdToken,
+  loadUserProfile,
+  resolveUsername,
+  resolveChannelAccess,
+  getChannelMaxUsers,
+  publishChatMessage,
+  searchChannelHistory,
+  attachmentStore,
+  metrics,
+  metricsToken,
+  isReady,
+  maxBodyBytes,
+  historyPageSize
+}) => {
+  const authenticate = async (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Missing bearer token');
+    }
+
+    const frbDecodedToken = await verifyUserIdToken(match[1].trim());
+    const frbUserProfile = await loadUserProfile(frbDecodedToken.uid);
+    return {
+      userId: frbDecodedToken.uid,
+      username: resolveUsername(frbDecodedToken, frbUserProfile),
+      isGlobalAdmin: Boolean(frbUserProfile?.globalAdmin)
+    };
+  };
+
+  // With a capability, the user's role in the channel must grant it
+  const resolveChannel = async (user, channelId, capability) => {
+    if (channelId.length > MESSAGE_SCHEMAS.join.channelId.maxLength) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Channel id is too long');
+    }
+
+    const channelDef = await dataAccess.fetchChannelDefinition(channelId);
+    if (!channelDef) {
+      throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Channel not found');
+    }
+
+    const access = resolveChannelAccess(channelDef, user.userId, user.isGlobalAdmin);
+    if (access.code === ERROR_CODES.BLOCKED) {
+      throw new ProtocolError(ERROR_CODES.BLOCKED, 'You are blocked from this channel');
+    }
+    if (!access.allowed) {
+      throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'You are not allowed to access this channel');
+    }
+    if (capability) {
+      assertCapability({
+        channelRole: access.channelRole,
+        isGlobalAdmin: user.isGlobalAdmin,
+        channelDef,
+        roleDefinitions: dataAccess.getRoleDefinitions()
+      }, capability);
+    }
+
+    return { channelDef, channelRole: access.channelRole };
+  };
+
+  const consumeRateLimit = (user, messageType, channelId, channelRole, channelDef) => {
+    const { allowed, retryAfterMs } = rateLimiter.consume({
+      subject: user.userId,
+      messageType,
+      channelId,
+      role: channelRole,
+      channelDef,
+      isGlobalAdmin: user.isGlobalAdmin,
+      roleDefinitions: dataAccess.getRoleDefinitions()
+    });
+    if (!allowed) {
+      const err = new ProtocolError(ERROR_CODES.RATE_LIMITED, 'Too many requests');
+      err.retryAfterMs = retryAfterMs;
+      throw err;
+    }
+  };
+
+  // Scrapers present metricsToken as a bearer token when one is configured
+  const renderMetrics = async (req, res) => {
+    if (metricsToken) {
+      const presented = Buffer.from(req.headers.authorization || '');
+      const expected = Buffer.from(`Bearer ${metricsToken}`);
+      if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Invalid metrics token');
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Cache-Control': 'no-store'
+    });
+    res.end(await metrics.render());
+  };
+
+  const listChannels = async (req, res, user) => {
+    if (dataAccess.getAllChannels().length === 0) {
+      await dataAccess.loadChannelCache();
+    }
+
+    const accessible = dataAccess.getAllChannels()
+      .map((channelDef) => ({
+        channelDef,
+        access: resolveChannelAccess(channelDef, user.userId, user.isGlobalAdmin)
+      }))
+      .filter(({ access }) => access.allowed);
+
+    const channels = await Promise.all(accessible.map(async ({ channelDef, access }) => ({
+      id: channelDef.id,
+      name: channelDef.name || channelDef.id,
+      isPublic: Boolean(channelDef.isPublic),
+      role: access.channelRole,
+      userCount: await broker.countMembers(channelDef.id),
+      maxUsers: getChannelMaxUsers(channelDef) || null
+    })));
+
+    sendJson(res, 200, { channels });
+  };
+
+  const listMessages = async (req, res, user, channelId, query) => {
+    await resolveChannel(user, channelId, CAPABILITIES.READ_HISTORY);
+
+    // beforeId continues after the message with that ts and id, so messages
+    // sharing a timestamp are not skipped between pages
+    const beforeTs = parseOptionalNumber(query.get('beforeTs'), 'beforeTs');
+    const beforeId = query.get('beforeId') || undefined;
+    if (beforeId && beforeId.length > MESSAGE_SCHEMAS['fetch-history'].beforeId.maxLength) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Query parameter "beforeId" is too long');
+    }
+    const requestedLimit = parseOptionalNumber(query.get('limit'), 'limit');
+    const limit = Math.min(
+      Math.max(Math.floor(requestedLimit || historyPageSize), 1),
+      MAX_HISTORY_PAGE_SIZE
+    );
+
+    let messages;
+    try {
+      messages = await dataAccess.fetchRecentMessages(
+        channelId,
+        limit,
+        beforeTs === undefined ? undefined : { ts: beforeTs, id: beforeId }
+      );
+    } catch (err) {
+      log.error('Failed to load channel history over HTTP', err);
+      throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to load chat history');
+    }
+
+    const last = messages.length === limit ? messages[messages.length - 1] : null;
+    sendJson(res, 200, {
+      channelId,
+      messages,
+      nextBeforeTs: last ? last.ts : null,
+      nextBeforeId: last ? last.id : null
+    });
+  };
+
+  const postMessage = async (req, res, user, channelId) => {
+    const body = await readJsonBody(req, maxBodyBytes);
+    const { channelDef, channelRole } = await resolveChannel(user, channelId);
+    consumeRateLimit(user, 'chat', channelId, channelRole, channelDef);
+
+    const msg = {
+      type: 'chat',
+      channelId,
+      text: body.text,
+      parentId: body.parentId,
+      quoteId: body.quoteId,
+      attachmentIds: body.attachmentIds
+    };
+    const validationError = validateMessage(msg);
+    if (validationError) {
+      throw validationError;
+    }
+    if ((typeof msg.text !== 'string' || msg.text.trim() === '') && !msg.attachmentIds?.length) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Field "text" is required');
+    }
+
+    const payload = await publishChatMessage(channelId, {
+      from: user.username,
+      userId: user.userId,
+      channelRole,
+      isGlobalAdmin: user.isGlobalAdmin
+    }, msg);
+    sendJson(res, 201, { message: payload });
+  };
+
+  const searchMessages = async (req, res, user, channelId, query) => {
+    const { channelDef, channelRole } = await resolveChannel(user, channelId, CAPABILITIES.READ_HISTORY);
+    consumeRateLimit(user, 'search-history', channelId, channelRole, channelDef);
+
+    const params = {
+      type: 'search-history',
+      channelId,
+      query: query.get('q') || undefined,
+      authorId: query.get('authorId') || undefined,
+      fromTs: parseOptionalNumber(query.get('fromTs'), 'fromTs'),
+      toTs: parseOptionalNumber(query.get('toTs'), 'toTs'),
+      cursor: query.get('cursor') || undefined,
+      limit: parseOptionalNumber(query.get('limit'), 'limit')
+    };
+    const validationError = validateMessage(params);
+    if (validationError) {
+      throw validationError;
+    }
+
+    sendJson(res, 200, await searchChannelHistory(channelId, params));
+  };
+
+  // Streams a channel's history between fromTs and toTs for auditors; the
+  // role must grant export-history (admins and global admins by default)
+  const exportMessages = async (req, res, user, channelId, query) => {
+    const { channelDef, channelRole } = await resolveChannel(user, channelId, CAPABILITIES.EXPORT_HISTORY);
+
+    const format = query.get('format') || 'json';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      throw new ProtocolError(
+        ERROR_CODES.INVALID_MESSAGE,
+        `Query parameter "format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      );
+    }
+
+    const fromTs = parseOptionalNumber(query.get('fromTs'), 'fromTs');
+    const toTs = parseOptionalNumber(query.get('toTs'), 'toTs');
+    if (fromTs !== undefined && toTs !== undefined && fromTs > toTs) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, '"fromTs" must not be after "toTs"');
+    }
+    consumeRateLimit(user, 'export-history', channelId, channelRole, channelDef);
+
+    const details = {
+      channelId,
+      channelName: channelDef.name || channelId,
+      fromTs: fromTs ?? null,
+      toTs: toTs ?? null,
+      exportedAt: Date.now(),
+      exportedBy: user.userId
+    };
+    log.info('Exporting channel history', { channelId, format, fromTs, toTs, userId: user.userId });
+    res.writeHead(200, {
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${getExportFileName(channelId, format)}"`,
+      'Cache-Control': 'no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    const messages = iterateChannelHistory(dataAccess.fetchRecentMessages.bind(dataAccess), channelId, {
+      fromTs,
+      toTs
+    });
+    // The status is already sent, so a failure can only abort the response;
+    // a transcript that was cut short must not look complete
+    try {
+      await pipeline(Readable.from(renderChannelExport(format, details, messages)), res);
+    } catch (err) {
+      log.error('Channel export failed', { channelId, format, err });
+      res.destroy();
+    }
+  };
+
+  // The upload token from `upload-ready` is the only credential needed; the
+  // body must match the declared type and size exactly. A token is reserved
+  // before anything is written, so it stores at most one file; the
+  // reservation is dropped again when the upload fails.
+  const uploadAttachment = async (req, res, uploadToken) => {
+    const claims = verifyUploadToken(uploadToken);
+    if (!claims) {
+      throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Invalid or expired upload token');
+    }
+
+    if (normalizeContentType(req.headers['content-type']) !== claims.contentType) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Content-Type does not match the upload request');
+    }
+
+    if (Number(req.headers['content-length']) > claims.size) {
+      throw new ProtocolError(ERROR_CODES.TOO_LARGE, 'Upload is larger than requested');
+    }
+
+    if (!(await broker.reserveUpload(claims.attachmentId, claims.exp - Date.now()))) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Upload token has already been used');
+    }
+
+    const metadata = {
+      id: claims.attachmentId,
+      channelId: claims.channelId,
+      userId: claims.userId,
+      fileName: claims.fileName,
+      contentType: claims.contentType,
+      size: claims.size,
+      uploadedAt: Date.now()
+    };
+    try {
+      await attachmentStore.save(metadata, readExactly(req, claims.size));
+    } catch (err) {
+      await broker.releaseUpload(claims.attachmentId);
+      throw err;
+    }
+    log.info('Stored attachment', {
+      attachmentId: metadata.id,
+      channelId: metadata.channelId,
+      userId: metadata.userId
+    });
+    sendJson(res, 201, { attachment: toAttachmentPayload(metadata) });
+  };
+
+  const downloadAttachment = async (req, res, user, attachmentId) => {
+    const metadata = await attachmentStore.fetchMetadata(attachmentId);
+    if (!metadata) {
+      throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Attachment not found');
+    }
+
+    await resolveChannel(user, metadata.channelId, CAPABILITIES.READ_HISTORY);
+    res.writeHead(200, {
+      'Content-Type': metadata.contentType,
+      'Content-Length': metadata.size,
+      'Content-Disposition': getContentDisposition(metadata),
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+    await pipeline(attachmentStore.createReadStream(attachmentId), res);
+  };
+
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/healthz$/,
+      public: true,
+      handle: (req, res) => sendJson(res, 200, { status: 'ok' })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/readyz$/,
+      public: true,
+      handle: (req, res) => (isReady()
+        ? sendJson(res, 200, { status: 'ready' })
+        : sendJson(res, 503, { status: 'unavailable' }))
+    },
+    {
+      method: 'GET',
+      pattern: /^\/metrics$/,
+      public: true,
+      handle: renderMetrics
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/channels$/,
+      handle: listChannels
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/channels\/([^/]+)\/messages$/,
+      handle: listMessages
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/channels\/([^/]+)\/messages$/,
+      handle: postMessage
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/channels\/([^/]+)\/search$/,
+      handle: searchMessages
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/channels\/([^/]+)\/export$/,
+      handle: exportMessages
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/uploads\/([^/]+)$/,
+      public: true,
+      handle: uploadAttachment
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/attachments\/([^/]+)$/,
+      handle: downloadAttachment
+    }
+  ];
+
+  return async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+
+    // Bearer tokens instead of cookies, so any origin may call the API
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '600'
+      });
+      res.end();
+      return;
+    }
+
+    const matching = routes.filter((route) => route.pattern.test(url.pathname));
+    const route = matching.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      if (matching.length > 0) {
+        sendJson(res, 405, { error: { code: ERROR_CODES.INVALID_MESSAGE, message: 'Method not allowed' } }, {
+          Allow: matching.map((candidate) => candidate.method).join(', ')
+        });
+      } else {
+        sendJson(res, 404, { error: { code: ERROR_CODES.NOT_FOUND, message: 'Not found' } });
+      }
+      return;
+    }
+
+    try {
+      const params = route.pattern.exec(url.pathname).slice(1).map(decodePathParam);
+      if (route.public) {
+        await route.handle(req, res, ...params);
+        return;
+      }
+
+      const user = await authenticate(req);
+      await route.handle(req, res, user, ...params, url.searchParams);
+    } catch (err) {
+      if (!(err instanceof ProtocolError)) {
+        log.error('HTTP request failed', { method: req.method, path: url.pathname, err });
+      }
+      if (!res.headersSent) {
+        sendError(res, err);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createHttpApi
+};
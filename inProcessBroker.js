@@ -0,0 +1,239 @@
+const BaseBroker = require('./baseBroker');
+
+// Single-instance broker: presence and buffered signals live in this process
+// and broadcasts are handed straight back to the server.
+class InProcessBroker extends BaseBroker {
+  constructor() {
+    super();
+    this.membersPerChannel = new Map();
+    this.pendingSignals = new Map();
+    this.calls = new Map();
+    this.userCalls = new Map();
+    this.roomCalls = new Map();
+    this.presenceConnections = new Map();
+    this.userPresences = new Map();
+    this.uploadReservations = new Map();
+  }
+
+  async publishToChannel(channelId, payload, exceptConnectionId) {
+    this.emit('channel-message', channelId, payload, exceptConnectionId);
+  }
+
+  async sendToConnection(member, payload) {
+    this.emit('connection-message', member.connectionId, payload);
+  }
+
+  async addMember(channelId, member, maxMembers) {
+    if (!this.membersPerChannel.has(channelId)) {
+      this.membersPerChannel.set(channelId, new Map());
+    }
+
+    const members = this.membersPerChannel.get(channelId);
+    if (maxMembers && !members.has(member.connectionId) && members.size >= maxMembers) {
+      return false;
+    }
+
+    members.set(member.connectionId, {
+      ...member,
+      instanceId: this.instanceId
+    });
+    return true;
+  }
+
+  async updateMember(channelId, connectionId, changes) {
+    const members = this.membersPerChannel.get(channelId);
+    const member = members && members.get(connectionId);
+    if (!member) {
+      return;
+    }
+
+    members.set(connectionId, {
+      ...member,
+      ...changes
+    });
+  }
+
+  async removeMember(channelId, connectionId) {
+    const members = this.membersPerChannel.get(channelId);
+    if (!members) {
+      return;
+    }
+
+    members.delete(connectionId);
+    if (members.size === 0) {
+      this.membersPerChannel.delete(channelId);
+    }
+  }
+
+  async listMembers(channelId) {
+    const members = this.membersPerChannel.get(channelId);
+    return this.sortMembers(members ? Array.from(members.values()) : []);
+  }
+
+  async bufferSignal(channelId, userId, payload, ttlMs) {
+    const key = `${channelId}:${userId}`;
+    if (!this.pendingSignals.has(key)) {
+      this.pendingSignals.set(key, []);
+    }
+
+    this.pendingSignals.get(key).push({
+      payload,
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async takeBufferedSignals(channelId, userId) {
+    const key = `${channelId}:${userId}`;
+    const buffered = this.pendingSignals.get(key) || [];
+    this.pendingSignals.delete(key);
+    return this.splitBufferedSignals(buffered);
+  }
+
+  async countBufferedSignals() {
+    let count = 0;
+    this.pendingSignals.forEach((entries) => {
+      count += entries.length;
+    });
+    return count;
+  }
+
+  // Calls end through the server's own timers, so ttlMs is not needed here
+  async claimCall(call) {
+    if (this.userCalls.has(call.callerId) || this.userCalls.has(call.calleeId)) {
+      return false;
+    }
+
+    this.calls.set(call.callId, call);
+    this.userCalls.set(call.callerId, call.callId);
+    this.userCalls.set(call.calleeId, call.callId);
+    return true;
+  }
+
+  async fetchCall(callId) {
+    return this.calls.get(callId) || null;
+  }
+
+  async fetchUserCall(userId) {
+    const callId = this.userCalls.get(userId);
+    return callId ? this.calls.get(callId) || null : null;
+  }
+
+  async updateCall(callId, changes) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return null;
+    }
+
+    const updated = {
+      ...call,
+      ...changes
+    };
+    this.calls.set(callId, updated);
+    return updated;
+  }
+
+  async releaseCall(call) {
+    this.calls.delete(call.callId);
+    [call.callerId, call.calleeId].forEach((userId) => {
+      if (this.userCalls.get(userId) === call.callId) {
+        this.userCalls.delete(userId);
+      }
+    });
+  }
+
+  // Rosters live as long as this process, so ttlMs is not needed here
+  async addRoomCallParticipant(channelId, participant, maxParticipants) {
+    if (!this.roomCalls.has(channelId)) {
+      this.roomCalls.set(channelId, new Map());
+    }
+
+    const participants = this.roomCalls.get(channelId);
+    if (participants.size >= maxParticipants) {
+      return false;
+    }
+
+    participants.set(participant.connectionId, {
+      ...participant,
+      instanceId: this.instanceId
+    });
+    return true;
+  }
+
+  async removeRoomCallParticipant(channelId, connectionId) {
+    const participants = this.roomCalls.get(channelId);
+    const participant = participants && participants.get(connectionId);
+    if (!participant) {
+      return null;
+    }
+
+    participants.delete(connectionId);
+    if (participants.size === 0) {
+      this.roomCalls.delete(channelId);
+    }
+    return participant;
+  }
+
+  async listRoomCallParticipants(channelId) {
+    const participants = this.roomCalls.get(channelId);
+    return this.sortMembers(participants ? Array.from(participants.values()) : []);
+  }
+
+  async setPresenceConnection(userId, record) {
+    if (!this.presenceConnections.has(userId)) {
+      this.presenceConnections.set(userId, new Map());
+    }
+
+    this.presenceConnections.get(userId).set(record.connectionId, {
+      ...record,
+      instanceId: this.instanceId
+    });
+  }
+
+  async removePresenceConnection(userId, connectionId) {
+    const connections = this.presenceConnections.get(userId);
+    if (!connections) {
+      return;
+    }
+
+    connections.delete(connectionId);
+    if (connections.size === 0) {
+      this.presenceConnections.delete(userId);
+    }
+  }
+
+  async listPresenceConnections(userId) {
+    const connections = this.presenceConnections.get(userId);
+    return connections ? Array.from(connections.values()) : [];
+  }
+
+  async swapUserPresence(userId, presence) {
+    const previous = this.userPresences.get(userId) || null;
+    this.userPresences.set(userId, presence);
+    return previous;
+  }
+
+  async fetchUserPresences(userIds) {
+    return userIds.map((userId) => this.userPresences.get(userId) || null);
+  }
+
+  async reserveUpload(attachmentId, ttlMs) {
+    const now = Date.now();
+    this.uploadReservations.forEach((expiresAt, reservedId) => {
+      if (expiresAt <= now) {
+        this.uploadReservations.delete(reservedId);
+      }
+    });
+
+    if (this.uploadReservations.has(attachmentId)) {
+      return false;
+    }
+    this.uploadReservations.set(attachmentId, now + ttlMs);
+    return true;
+  }
+
+  async releaseUpload(attachmentId) {
+    this.uploadReservations.delete(attachmentId);
+  }
+}
+
+module.exports = InProcessBroker;
@@ -0,0 +1,602 @@
+const fs = require('fs');
+const path = require('path');
+const BaseAccess = require('./baseAccess');
+const { isDirectConversationId } = require('./directMessages');
+const LocalTokenVerifier = require('./localTokenVerifier');
+const { createLogger } = require('./logger');
+const {
+  compareNewestFirst,
+  isBeforeCursor,
+  matchesSearchCriteria,
+  toMessageCursor,
+  tokenize
+} = require('./messageSearch');
+
+const log = createLogger('localAccess');
+const PERSIST_DELAY_MS = 200;
+const WATCH_INTERVAL_MS = 1000;
+
+// In-memory provider for local development, tests and on-prem setups without
+// Firebase. When LOCAL_DATA_FILE is set, state is loaded from and written back
+// to that JSON file ({ channels, roles, users, channelMessages, channelCalls,
+// directMessages, directConversations }). Hand edits to `channels`, `roles`
+// and `users` are picked up like Firestore snapshots; messages are owned by
+// the server while it runs. Profile fields and channel members the server
+// changed since its last write are applied on top of a hand-edited file.
+class LocalAccess extends BaseAccess {
+  constructor(options = {}) {
+    super();
+    this.dataFile = options.dataFile || process.env.LOCAL_DATA_FILE || null;
+    this.tokenVerifier = options.tokenVerifier || new LocalTokenVerifier();
+    this.users = new Map();
+    this.channelMessages = new Map();
+    this.directMessages = new Map();
+    this.directConversations = new Map();
+    this.channelSequences = new Map();
+    this.searchIndex = new Map();
+    this.channelCalls = new Map();
+    this.userProfileHandlers = new Map();
+    this.channelWatcherStarted = false;
+    this.persistTimer = null;
+    this.lastWrittenContent = null;
+    // Changes made since the last write, by userId and in order
+    this.pendingUserChanges = new Map();
+    this.pendingMemberChanges = [];
+
+    this.loadState(options.initialData || this.readDataFile());
+    this.startChannelWatcher();
+  }
+
+  readDataFile() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) {
+      return {};
+    }
+
+    try {
+      const content = fs.readFileSync(this.dataFile, 'utf8');
+      this.lastWrittenContent = content;
+      return content.trim() ? JSON.parse(content) : {};
+    } catch (err) {
+      log.error('Invalid LOCAL_DATA_FILE content', err);
+      throw err;
+    }
+  }
+
+  loadState(data) {
+    this.users = new Map(Object.entries(data.users || {}));
+    this.channelMessages = new Map(
+      Object.entries(data.channelMessages || {}).map(([channelId, messages]) => [
+        channelId,
+        Array.isArray(messages) ? messages : []
+      ])
+    );
+    this.directMessages = new Map(
+      Object.entries(data.directMessages || {}).map(([conversationId, messages]) => [
+        conversationId,
+        Array.isArray(messages) ? messages : []
+      ])
+    );
+    this.directConversations = new Map(Object.entries(data.directConversations || {}));
+    this.channelSequences = new Map(Object.entries(data.channelSequences || {}));
+    this.channelCalls = new Map(
+      Object.entries(data.channelCalls || {}).map(([channelId, calls]) => [
+        channelId,
+        Array.isArray(calls) ? calls : []
+      ])
+    );
+    this.searchIndex = new Map();
+    [this.channelMessages, this.directMessages].forEach((store) => {
+      store.forEach((messages, channelId) => {
+        messages.forEach((message) => this.indexMessage(channelId, message));
+      });
+    });
+    this.updateRoleDefinitions(data.roles);
+    this.updateChannelCache(this.extractChannelsArray(data));
+  }
+
+  serializeState() {
+    return {
+      channels: this.getAllChannels(),
+      roles: this.getRoleDefinitions(),
+      users: Object.fromEntries(this.users),
+      channelMessages: Object.fromEntries(this.channelMessages),
+      directMessages: Object.fromEntries(this.directMessages),
+      directConversations: Object.fromEntries(this.directConversations),
+      channelSequences: Object.fromEntries(this.channelSequences),
+      channelCalls: Object.fromEntries(this.channelCalls)
+    };
+  }
+
+  schedulePersist() {
+    if (!this.dataFile || this.persistTimer) {
+      return;
+    }
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persistNow();
+    }, PERSIST_DELAY_MS);
+    this.persistTimer.unref();
+  }
+
+  persistNow() {
+    if (!this.dataFile) {
+      return;
+    }
+
+    // Pick up hand edits first so they are not overwritten
+    this.reloadFromFile();
+
+    const content = JSON.stringify(this.serializeState(), null, 2);
+    try {
+      fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+      fs.writeFileSync(this.dataFile, content);
+      this.lastWrittenContent = content;
+      this.pendingUserChanges.clear();
+      this.pendingMemberChanges = [];
+    } catch (err) {
+      log.error('Failed to write LOCAL_DATA_FILE', err);
+    }
+  }
+
+  // Revocation follows the user's profile: `disabled` accounts are rejected,
+  // as are tokens issued (`auth_time` or `iat`) before `tokensValidAfter` (ms),
+  // with the error codes Firebase Auth uses for both
+  async verifyIdToken(token, checkRevoked = false) {
+    const claims = await this.tokenVerifier.verifyIdToken(token);
+    if (!checkRevoked) {
+      return claims;
+    }
+
+    const profile = this.users.get(claims.uid);
+    if (profile?.disabled) {
+      throw Object.assign(new Error('User account is disabled'), { code: 'auth/user-disabled' });
+    }
+
+    const issuedAtMs = (Number(claims.auth_time ?? claims.iat) || 0) * 1000;
+    if (Number(profile?.tokensValidAfter) > issuedAtMs) {
+      throw Object.assign(new Error('ID token has been revoked'), { code: 'auth/id-token-revoked' });
+    }
+    return claims;
+  }
+
+  startChannelWatcher() {
+    if (this.channelWatcherStarted || !this.dataFile) {
+      return;
+    }
+    this.channelWatcherStarted = true;
+
+    const watcher = fs.watchFile(this.dataFile, { interval: WATCH_INTERVAL_MS }, () => {
+      this.reloadFromFile();
+    });
+    watcher.unref();
+  }
+
+  async close() {
+    if (this.channelWatcherStarted) {
+      fs.unwatchFile(this.dataFile);
+      this.channelWatcherStarted = false;
+    }
+    this.userProfileHandlers.clear();
+
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      this.persistNow();
+    }
+  }
+
+  reloadFromFile() {
+    if (!fs.existsSync(this.dataFile)) {
+      return;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(this.dataFile, 'utf8');
+    } catch (err) {
+      log.error('Channel watcher error', err);
+      return;
+    }
+
+    if (content === this.lastWrittenContent) {
+      return;
+    }
+
+    let data;
+    try {
+      data = content.trim() ? JSON.parse(content) : {};
+    } catch (err) {
+      log.error('Channel watcher error', err);
+      return;
+    }
+    this.lastWrittenContent = content;
+
+    const previousUsers = this.users;
+    this.users = new Map(Object.entries(data.users || {}));
+    this.pendingUserChanges.forEach((fields, userId) => {
+      this.users.set(userId, { ...this.users.get(userId), ...fields });
+    });
+    this.updateRoleDefinitions(data.roles);
+    this.updateChannelCache(this.applyPendingMemberChanges(this.extractChannelsArray(data)));
+    this.userProfileHandlers.forEach((handlers, userId) => {
+      const next = this.users.get(userId) || null;
+      if (JSON.stringify(next) !== JSON.stringify(previousUsers.get(userId) || null)) {
+        this.notifyUserProfile(userId);
+      }
+    });
+  }
+
+  // Changes to channels removed from the file are dropped
+  applyPendingMemberChanges(channels) {
+    return this.pendingMemberChanges.reduce((nextChannels, { channelId, userId, changes }) => {
+      if (!nextChannels.some((channel) => channel && channel.id === channelId)) {
+        return nextChannels;
+      }
+      return this.applyChannelMemberChange(nextChannels, channelId, userId, changes);
+    }, channels);
+  }
+
+  async loadChannelCache() {
+    this.updateChannelCache(this.getAllChannels());
+  }
+
+  async updateChannelMember(channelId, userId, changes) {
+    this.updateChannelCache(
+      this.applyChannelMemberChange(this.getAllChannels(), channelId, userId, changes)
+    );
+    this.pendingMemberChanges.push({ channelId, userId, changes });
+    this.schedulePersist();
+    return this.getCachedChannel(channelId);
+  }
+
+  async fetchUserProfile(userId) {
+    if (!userId) {
+      return null;
+    }
+
+    return this.users.get(userId) || null;
+  }
+
+  notifyUserProfile(userId) {
+    const handlers = this.userProfileHandlers.get(userId);
+    if (!handlers) {
+      return;
+    }
+
+    const latest = this.users.get(userId) || null;
+    handlers.forEach((cb) => {
+      try {
+        cb(latest);
+      } catch (err) {
+        log.error('User profile handler failed', err);
+      }
+    });
+  }
+
+  subscribeToUserProfile(userId, handler) {
+    if (!userId || typeof handler !== 'function') {
+      return () => {};
+    }
+
+    if (!this.userProfileHandlers.has(userId)) {
+      this.userProfileHandlers.set(userId, new Set());
+    }
+    this.userProfileHandlers.get(userId).add(handler);
+
+    const latest = this.users.get(userId);
+    if (latest) {
+      try {
+        handler(latest);
+      } catch (err) {
+        log.error('User profile handler failed', err);
+      }
+    }
+
+    return () => {
+      const handlers = this.userProfileHandlers.get(userId);
+      if (!handlers) {
+        return;
+      }
+
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.userProfileHandlers.delete(userId);
+      }
+    };
+  }
+
+  async saveDirectConversationSummary(conversationId, summary) {
+    const current = this.directConversations.get(conversationId);
+    if (current && current.lastMessageAt > summary.lastMessageAt) {
+      return;
+    }
+
+    this.directConversations.set(conversationId, summary);
+    this.schedulePersist();
+  }
+
+  async fetchDirectConversations(userId, { limit = 20, beforeTs } = {}) {
+    return Array.from(this.directConversations.values())
+      .filter((summary) => summary.participantIds.includes(userId))
+      .filter((summary) => typeof beforeTs !== 'number' || summary.lastMessageAt < beforeTs)
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+      .slice(0, limit);
+  }
+
+  async setUserBlocked(userId, targetUserId, isBlocked) {
+    const profile = this.users.get(userId) || {};
+    const blockedUserIds = (Array.isArray(profile.blockedUserIds) ? profile.blockedUserIds : [])
+      .filter((blockedUserId) => blockedUserId !== targetUserId);
+    if (isBlocked) {
+      blockedUserIds.push(targetUserId);
+    }
+
+    this.updateUserProfile(userId, { blockedUserIds });
+  }
+
+  async saveUserPresence(userId, fields) {
+    this.updateUserProfile(userId, fields);
+  }
+
+  async saveReadPosition(userId, channelId, position) {
+    if (!userId || !channelId) {
+      return;
+    }
+
+    const profile = this.users.get(userId) || {};
+    this.updateUserProfile(userId, {
+      readPositions: {
+        ...profile.readPositions,
+        [channelId]: position
+      }
+    });
+  }
+
+  updateUserProfile(userId, fields) {
+    this.users.set(userId, {
+      ...this.users.get(userId),
+      ...fields
+    });
+    this.pendingUserChanges.set(userId, {
+      ...this.pendingUserChanges.get(userId),
+      ...fields
+    });
+    this.schedulePersist();
+    this.notifyUserProfile(userId);
+  }
+
+  getChannelMessages(channelId) {
+    if (!channelId) {
+      throw new Error('channelId is required');
+    }
+
+    const store = isDirectConversationId(channelId) ? this.directMessages : this.channelMessages;
+    if (!store.has(channelId)) {
+      store.set(channelId, []);
+    }
+
+    return store.get(channelId);
+  }
+
+  async saveChatMessage(channelId, message) {
+    if (!channelId || !message) {
+      return null;
+    }
+
+    const stored = {
+      ...message,
+      channelId
+    };
+    this.getChannelMessages(channelId).push(stored);
+    this.indexMessage(channelId, stored);
+    this.schedulePersist();
+    return null;
+  }
+
+  async fetchRecentMessages(channelId, limit = 8, before) {
+    if (!channelId) {
+      return [];
+    }
+
+    return this.getChannelMessages(channelId)
+      .filter((message) => isBeforeCursor(message, before))
+      .sort(compareNewestFirst)
+      .slice(0, limit);
+  }
+
+  async fetchChatMessage(channelId, messageId) {
+    if (!channelId || !messageId) {
+      return null;
+    }
+
+    return this.getChannelMessages(channelId).find((message) => message.id === messageId) || null;
+  }
+
+  async purgeMessagesBefore(channelId, cutoffTs, limit = 200) {
+    if (!channelId) {
+      return [];
+    }
+
+    const messages = this.getChannelMessages(channelId);
+    const purged = messages
+      .filter((message) => message.ts < cutoffTs)
+      .sort((a, b) => a.ts - b.ts)
+      .slice(0, limit);
+    if (purged.length === 0) {
+      return purged;
+    }
+
+    const purgedSet = new Set(purged);
+    purged.forEach((message) => this.unindexMessage(channelId, message));
+    const store = isDirectConversationId(channelId) ? this.directMessages : this.channelMessages;
+    store.set(channelId, messages.filter((message) => !purgedSet.has(message)));
+    this.schedulePersist();
+    return purged;
+  }
+
+  updateChatMessage(channelId, messageId, applyChange) {
+    const messages = this.getChannelMessages(channelId);
+    const index = messages.findIndex((message) => message.id === messageId);
+    if (index === -1) {
+      throw new Error('Message not found');
+    }
+
+    this.unindexMessage(channelId, messages[index]);
+    messages[index] = applyChange(messages[index]);
+    this.indexMessage(channelId, messages[index]);
+    this.schedulePersist();
+    return messages[index];
+  }
+
+  async editChatMessage(channelId, messageId, text, editedBy) {
+    return this.updateChatMessage(channelId, messageId, (message) =>
+      this.applyMessageEdit(message, text, editedBy)
+    );
+  }
+
+  async deleteChatMessage(channelId, messageId, deletedBy) {
+    return this.updateChatMessage(channelId, messageId, (message) =>
+      this.applyMessageTombstone(message, deletedBy)
+    );
+  }
+
+  async recordThreadReply(channelId, parentId, replyTs) {
+    return this.updateChatMessage(channelId, parentId, (message) =>
+      this.applyThreadReply(message, replyTs)
+    );
+  }
+
+  async fetchThreadMessages(channelId, parentId, limit = 8, beforeTs) {
+    if (!channelId || !parentId) {
+      return [];
+    }
+
+    return this.getChannelMessages(channelId)
+      .filter((message) => message.parentId === parentId)
+      .filter((message) => typeof beforeTs !== 'number' || message.ts < beforeTs)
+      .sort((a, b) => b.ts - a.ts)
+      .slice(0, limit);
+  }
+
+  getChannelCalls(channelId) {
+    if (!channelId) {
+      throw new Error('channelId is required');
+    }
+
+    if (!this.channelCalls.has(channelId)) {
+      this.channelCalls.set(channelId, []);
+    }
+
+    return this.channelCalls.get(channelId);
+  }
+
+  async saveCallRecord(channelId, record) {
+    const calls = this.getChannelCalls(channelId);
+    const stored = {
+      ...record,
+      channelId
+    };
+    const index = calls.findIndex((call) => call.callId === record.callId);
+    if (index === -1) {
+      calls.push(stored);
+    } else {
+      calls[index] = stored;
+    }
+    this.schedulePersist();
+  }
+
+  async fetchCallHistory(channelId, { limit = 8, beforeTs, participantId, missedBy } = {}) {
+    return this.getChannelCalls(channelId)
+      .filter((call) => !participantId || call.participantIds.includes(participantId))
+      .filter((call) => !missedBy || call.missedBy === missedBy)
+      .filter((call) => typeof beforeTs !== 'number' || call.createdAt < beforeTs)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  // Inverted index per channel: word -> ids of the live messages using it
+  getChannelSearchIndex(channelId) {
+    if (!this.searchIndex.has(channelId)) {
+      this.searchIndex.set(channelId, new Map());
+    }
+
+    return this.searchIndex.get(channelId);
+  }
+
+  indexMessage(channelId, message) {
+    if (!message.id || message.deleted) {
+      return;
+    }
+
+    const index = this.getChannelSearchIndex(channelId);
+    tokenize(message.text).forEach((token) => {
+      if (!index.has(token)) {
+        index.set(token, new Set());
+      }
+      index.get(token).add(message.id);
+    });
+  }
+
+  unindexMessage(channelId, message) {
+    const index = this.getChannelSearchIndex(channelId);
+    tokenize(message.text).forEach((token) => {
+      const ids = index.get(token);
+      if (ids) {
+        ids.delete(message.id);
+        if (ids.size === 0) {
+          index.delete(token);
+        }
+      }
+    });
+  }
+
+  async searchMessages(channelId, criteria) {
+    const { terms = [], limit = 20 } = criteria;
+    let candidates = this.getChannelMessages(channelId);
+    if (terms.length > 0) {
+      const index = this.getChannelSearchIndex(channelId);
+      const ids = terms
+        .map((term) => index.get(term) || new Set())
+        .reduce((acc, next) => new Set([...acc].filter((id) => next.has(id))));
+      candidates = candidates.filter((message) => ids.has(message.id));
+    }
+
+    const matches = candidates
+      .filter((message) => matchesSearchCriteria(message, criteria))
+      .sort(compareNewestFirst);
+    const messages = matches.slice(0, limit);
+    return {
+      messages,
+      nextBefore: matches.length > limit ? toMessageCursor(messages[messages.length - 1]) : null
+    };
+  }
+
+  async nextMessageSeq(channelId) {
+    if (!channelId) {
+      throw new Error('channelId is required');
+    }
+
+    const nextSeq = (Number(this.channelSequences.get(channelId)) || 0) + 1;
+    this.channelSequences.set(channelId, nextSeq);
+    this.schedulePersist();
+    return nextSeq;
+  }
+
+  async fetchLatestMessageSeq(channelId) {
+    return Number(this.channelSequences.get(channelId)) || 0;
+  }
+
+  async fetchMessagesAfterSeq(channelId, afterSeq = 0, limit = 100) {
+    if (!channelId) {
+      return [];
+    }
+
+    return this.getChannelMessages(channelId)
+      .filter((message) => typeof message.seq === 'number' && message.seq > afterSeq)
+      .sort((a, b) => a.seq - b.seq)
+      .slice(0, limit);
+  }
+}
+
+module.exports = LocalAccess;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const BaseAttachmentStore = require('./baseAttachmentStore');
+
+// Keeps attachments on local disk under ATTACHMENT_DIR: `<id>` holds the file
+// and `<id>.json` its metadata. Meant for development and single-instance
+// setups; files are written to a temporary name first so readers never see a
+// partial upload.
+class LocalAttachmentStore extends BaseAttachmentStore {
+  constructor(options = {}) {
+    super();
+    this.directory = path.resolve(
+      options.directory || process.env.ATTACHMENT_DIR || 'attachments'
+    );
+  }
+
+  filePath(attachmentId, suffix = '') {
+    // Attachment ids are server-generated UUIDs; refuse anything else
+    if (!/^[\w-]+$/.test(attachmentId)) {
+      throw new Error('Invalid attachment id');
+    }
+
+    return path.join(this.directory, `${attachmentId}${suffix}`);
+  }
+
+  async save(metadata, source) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const target = this.filePath(metadata.id);
+    const partial = this.filePath(metadata.id, '.partial');
+
+    try {
+      await pipeline(source, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, target);
+      await fs.promises.writeFile(this.filePath(metadata.id, '.json'), JSON.stringify(metadata));
+    } catch (err) {
+      await fs.promises.rm(partial, { force: true });
+      throw err;
+    }
+  }
+
+  async fetchMetadata(attachmentId) {
+    try {
+      const content = await fs.promises.readFile(this.filePath(attachmentId, '.json'), 'utf8');
+      return JSON.parse(content);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.message === 'Invalid attachment id') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  createReadStream(attachmentId) {
+    return fs.createReadStream(this.filePath(attachmentId));
+  }
+
+  async delete(attachmentId) {
+    await Promise.all([
+      fs.promises.rm(this.filePath(attachmentId), { force: true }),
+      fs.promises.rm(this.filePath(attachmentId, '.json'), { force: true })
+    ]);
+  }
+}
+
+module.exports = LocalAttachmentStore;
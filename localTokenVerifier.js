@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Development stand-in for Firebase ID tokens. A token is a base64url encoded
+// JSON claims object (at least `uid`), optionally followed by `.` and an
+// HMAC-SHA256 signature. When LOCAL_AUTH_SECRET is set, unsigned tokens are
+// rejected. Without a secret anyone can sign in as any user, so that needs
+// NODE_ENV=development or LOCAL_AUTH_INSECURE=1. Like Firebase ID tokens,
+// created tokens carry `iat` and expire an hour later unless `exp` is given.
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+const allowsUnsignedTokens = () =>
+  process.env.NODE_ENV === 'development' || process.env.LOCAL_AUTH_INSECURE === '1';
+
+class LocalTokenVerifier {
+  constructor(secret = process.env.LOCAL_AUTH_SECRET) {
+    this.secret = secret || null;
+    if (!this.secret && !allowsUnsignedTokens()) {
+      throw new Error(
+        'LOCAL_AUTH_SECRET is not set; set NODE_ENV=development or LOCAL_AUTH_INSECURE=1 to accept unsigned tokens'
+      );
+    }
+  }
+
+  sign(encodedClaims) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(encodedClaims)
+      .digest('base64url');
+  }
+
+  createToken(claims) {
+    if (!claims || !claims.uid) {
+      throw new Error('Token claims require a uid');
+    }
+
+    const iat = claims.iat ?? Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat, exp: claims.exp ?? iat + TOKEN_LIFETIME_SECONDS };
+    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    return this.secret ? `${encoded}.${this.sign(encoded)}` : encoded;
+  }
+
+  async verifyIdToken(token) {
+    if (typeof token !== 'string' || !token) {
+      throw new Error('Invalid ID token');
+    }
+
+    const [encoded, signature] = token.split('.');
+    if (this.secret) {
+      const presented = Buffer.from(signature || '', 'base64url');
+      const expected = Buffer.from(this.sign(encoded), 'base64url');
+      if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+        throw new Error('Invalid ID token signature');
+      }
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (err) {
+      throw new Error('Invalid ID token');
+    }
+
+    if (!claims || typeof claims.uid !== 'string' || !claims.uid) {
+      throw new Error('ID token is missing uid');
+    }
+
+    if (typeof claims.exp === 'number' && claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new Error('ID token has expired');
+    }
+
+    return {
+      ...claims,
+      sub: claims.uid
+    };
+  }
+}
+
+module.exports = LocalTokenVerifier;
@@ -0,0 +1,150 @@
+// Structured logging. Every entry is one JSON line that Cloud Logging reads
+// as a structured entry (`severity`, `message`, `time`), plus the module
+// name, the fields passed in and the fields of the current request returned
+// by the context provider (see setLogContext).
+//
+// LOG_LEVEL sets the minimum level (debug, info, warn, error; default info)
+// and LOG_LEVELS overrides it per module, e.g. `server=debug,redisBroker=warn`.
+// LOG_FORMAT=text prints plain lines for local development.
+//
+// Fields that carry credentials are masked and message bodies are reduced to
+// their length before anything is written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const SECRET_FIELD_PATTERN = /token|secret|password|authorization|cookie|credential/i;
+const CONTENT_FIELDS = new Set(['text', 'sdp', 'candidate']);
+const MAX_FIELD_DEPTH = 4;
+
+const parseLevel = (raw, fallback) => {
+  const level = String(raw || '').trim().toLowerCase();
+  return LEVELS[level] ? level : fallback;
+};
+
+const defaultLevel = parseLevel(process.env.LOG_LEVEL, 'info');
+const moduleLevels = new Map(
+  String(process.env.LOG_LEVELS || '')
+    .split(',')
+    .map((entry) => entry.split('=').map((part) => part.trim()))
+    .filter(([moduleName, level]) => moduleName && LEVELS[parseLevel(level)])
+    .map(([moduleName, level]) => [moduleName, parseLevel(level)])
+);
+const useTextFormat = String(process.env.LOG_FORMAT || '').toLowerCase() === 'text';
+let contextProvider = () => undefined;
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined ? { code: err.code } : {})
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_FIELD_DEPTH) {
+    return '[truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const redacted = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (fieldValue === undefined) {
+      return;
+    }
+    if (SECRET_FIELD_PATTERN.test(key)) {
+      redacted[key] = '[redacted]';
+    } else if (CONTENT_FIELDS.has(key) && typeof fieldValue === 'string') {
+      redacted[key] = `[redacted ${fieldValue.length} chars]`;
+    } else {
+      redacted[key] = redact(fieldValue, depth + 1);
+    }
+  });
+  return redacted;
+};
+
+const formatText = (entry) => {
+  const { time, severity, module: moduleName, message, stack_trace: stackTrace, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const line = [`${time} ${severity} [${moduleName}] ${message}`, details].filter(Boolean).join(' ');
+  return stackTrace ? `${line}\n${stackTrace}` : line;
+};
+
+class Logger {
+  constructor(moduleName) {
+    this.moduleName = moduleName;
+    this.level = moduleLevels.get(moduleName) || defaultLevel;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  // `fields` is an object of extra fields, or an Error
+  write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const extra = fields instanceof Error ? { err: fields } : fields || {};
+    const err = extra.err instanceof Error ? extra.err : null;
+    const entry = {
+      time: new Date().toISOString(),
+      severity: SEVERITIES[level],
+      module: this.moduleName,
+      message,
+      ...redact({ ...contextProvider(), ...extra })
+    };
+    if (err && err.stack) {
+      entry.stack_trace = err.stack;
+    }
+
+    let line;
+    try {
+      line = useTextFormat ? formatText(entry) : JSON.stringify(entry);
+    } catch (serializeErr) {
+      line = JSON.stringify({ time: entry.time, severity: entry.severity, module: this.moduleName, message });
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+const createLogger = (moduleName) => new Logger(moduleName);
+
+// provider returns the fields of the work in progress (or undefined); they
+// are added to every entry written while it runs
+const setLogContext = (provider) => {
+  contextProvider = provider;
+};
+
+module.exports = {
+  createLogger,
+  setLogContext
+};
@@ -0,0 +1,105 @@
+// Word-level message search shared by the storage providers and the server.
+// Text is split into lowercase words with accents removed, so "Ώρα" and
+// "ωρα" match; a query matches messages containing all of its words.
+const MAX_QUERY_TERMS = 10;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalizeWord = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Distinct normalized words of a text; stored as the search index of a message
+const tokenize = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  return Array.from(new Set((text.match(WORD_PATTERN) || []).map(normalizeWord)));
+};
+
+const parseQueryTerms = (query) => tokenize(query).slice(0, MAX_QUERY_TERMS);
+
+// Messages are paged newest first by (ts, id), so messages sharing a
+// timestamp are neither repeated nor skipped across pages
+const compareNewestFirst = (a, b) => {
+  if (a.ts !== b.ts) {
+    return b.ts - a.ts;
+  }
+  const aId = String(a.id || '');
+  const bId = String(b.id || '');
+  return aId < bId ? 1 : aId > bId ? -1 : 0;
+};
+
+// Whether a message comes after the { ts, id } cursor in that order; without
+// an id every message with that ts is excluded
+const isBeforeCursor = (message, cursor) => {
+  if (!cursor) {
+    return true;
+  }
+  if (message.ts !== cursor.ts || cursor.id === undefined) {
+    return message.ts < cursor.ts;
+  }
+  return String(message.id || '') < cursor.id;
+};
+
+const toMessageCursor = (message) => ({ ts: message.ts, id: message.id });
+
+const matchesSearchCriteria = (message, { terms = [], userId, fromTs, toTs, before }) => {
+  if (!message || message.deleted) {
+    return false;
+  }
+
+  if (userId && message.userId !== userId) {
+    return false;
+  }
+
+  if (
+    (typeof fromTs === 'number' && message.ts < fromTs) ||
+    (typeof toTs === 'number' && message.ts > toTs) ||
+    !isBeforeCursor(message, before)
+  ) {
+    return false;
+  }
+
+  const tokens = new Set(tokenize(message.text));
+  return terms.every((term) => tokens.has(term));
+};
+
+// [start, end) offsets of the words of `text` that match a term
+const findHighlights = (text, terms) => {
+  if (typeof text !== 'string' || terms.length === 0) {
+    return [];
+  }
+
+  const wanted = new Set(terms);
+  return Array.from(text.matchAll(WORD_PATTERN))
+    .filter((match) => wanted.has(normalizeWord(match[0])))
+    .map((match) => [match.index, match.index + match[0].length]);
+};
+
+// Cursors are opaque to clients; they carry the { ts, id } to page before.
+// Cursors issued before ids were added only hold the ts.
+const encodeSearchCursor = ({ ts, id }) =>
+  Buffer.from(JSON.stringify({ beforeTs: ts, beforeId: id })).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+  try {
+    const { beforeTs, beforeId } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(beforeTs) || (beforeId !== undefined && typeof beforeId !== 'string')) {
+      return null;
+    }
+    return { ts: beforeTs, id: beforeId };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  tokenize,
+  parseQueryTerms,
+  compareNewestFirst,
+  isBeforeCursor,
+  toMessageCursor,
+  matchesSearchCriteria,
+  findHighlights,
+  encodeSearchCursor,
+  decodeSearchCursor
+};
@@ -0,0 +1,180 @@
+const { createLogger } = require('./logger');
+
+// Prometheus metrics in the text exposition format, served on /metrics.
+// Counters and histograms are updated as things happen; gauges are read
+// through a collect callback whenever the endpoint is scraped.
+const log = createLogger('metrics');
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Keeps label values in the declared order so equal label sets share a series
+const toSeriesKey = (labelNames, labels = {}) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+const fromSeriesKey = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+};
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map();
+    // Unlabelled counters are exported as 0 before their first increment
+    if (labelNames.length === 0) {
+      this.values.set(toSeriesKey(labelNames), 0);
+    }
+  }
+
+  inc(labels, value = 1) {
+    const key = toSeriesKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  collectLines() {
+    return Array.from(this.values.entries()).map(([key, value]) =>
+      `${this.name}${formatLabels(fromSeriesKey(this.labelNames, key))} ${value}`);
+  }
+}
+
+class Gauge {
+  // collect returns [{ labels, value }] or a promise of it
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  async collectLines() {
+    const samples = (await this.collect()) || [];
+    return samples.map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+// A counter kept by another module, read through collect like a gauge
+class CollectedCounter extends Gauge {
+  constructor(name, help, collect) {
+    super(name, help, collect);
+    this.type = 'counter';
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = toSeriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Returns a function that records the seconds elapsed since this call
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extraLabels) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  collectLines() {
+    const lines = [];
+    this.series.forEach((series, key) => {
+      const labels = fromSeriesKey(this.labelNames, key);
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  collectedCounter(name, help, collect) {
+    return this.register(new CollectedCounter(name, help, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  async render() {
+    const blocks = await Promise.all(Array.from(this.metrics.values()).map(async (metric) => {
+      let lines;
+      try {
+        lines = await metric.collectLines();
+      } catch (err) {
+        log.error('Failed to collect metric', { metric: metric.name, err });
+        lines = [];
+      }
+
+      return [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...lines
+      ].join('\n');
+    }));
+
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+module.exports = new MetricsRegistry();
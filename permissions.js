@@ -0,0 +1,97 @@
+const { ERROR_CODES, ProtocolError } = require('./protocol');
+
+// What a channel role may do. Each role grants a list of capabilities:
+// - the built-in roles below,
+// - overridden or extended by the `roles` map of the channel config (custom
+//   roles such as `{ "moderator": ["send-chat", "read-history", "moderate"] }`),
+// - overridden per channel by `rules.roles` in the same shape.
+// Roles defined nowhere get the capabilities of `staff`. Global admins have
+// every capability in every channel they can access, whatever their role.
+const CAPABILITIES = Object.freeze({
+  SEND_CHAT: 'send-chat',
+  UPLOAD_FILES: 'upload-files',
+  READ_HISTORY: 'read-history',
+  START_CALL: 'start-call',
+  ANSWER_CALL: 'answer-call',
+  MANAGE_MESSAGES: 'manage-messages',
+  VIEW_ALL_CALLS: 'view-all-calls',
+  MODERATE: 'moderate',
+  EXPORT_HISTORY: 'export-history',
+  BYPASS_SLOW_MODE: 'bypass-slow-mode'
+});
+
+const DEFAULT_ROLE = 'staff';
+const DEFAULT_ROLES = {
+  admin: Object.values(CAPABILITIES),
+  staff: [
+    CAPABILITIES.SEND_CHAT,
+    CAPABILITIES.UPLOAD_FILES,
+    CAPABILITIES.READ_HISTORY,
+    CAPABILITIES.START_CALL,
+    CAPABILITIES.ANSWER_CALL
+  ],
+  // Observers follow the channel and may take calls, but not start them
+  observer: [
+    CAPABILITIES.READ_HISTORY,
+    CAPABILITIES.ANSWER_CALL
+  ]
+};
+
+const CAPABILITY_ERRORS = {
+  [CAPABILITIES.SEND_CHAT]: 'Your role cannot send messages in this channel',
+  [CAPABILITIES.UPLOAD_FILES]: 'Your role cannot upload files in this channel',
+  [CAPABILITIES.READ_HISTORY]: 'Your role cannot read the history of this channel',
+  [CAPABILITIES.START_CALL]: 'Your role cannot initiate calls in this channel',
+  [CAPABILITIES.ANSWER_CALL]: 'Your role cannot take calls in this channel',
+  [CAPABILITIES.MANAGE_MESSAGES]: 'You can only change your own messages',
+  [CAPABILITIES.VIEW_ALL_CALLS]: 'Your role cannot see every call of this channel',
+  [CAPABILITIES.MODERATE]: 'Only channel admins can moderate this channel',
+  [CAPABILITIES.EXPORT_HISTORY]: 'Only channel admins can export history',
+  [CAPABILITIES.BYPASS_SLOW_MODE]: 'Your role is subject to slow mode in this channel'
+};
+
+const findRoleDefinition = (role, sources) => {
+  const source = sources.find((roles) =>
+    roles && Object.prototype.hasOwnProperty.call(roles, role) && Array.isArray(roles[role])
+  );
+  return source ? source[role] : undefined;
+};
+
+// Capabilities of a role in a channel; roleDefinitions is the config's `roles`
+const resolveRoleCapabilities = (role, channelDef, roleDefinitions) => {
+  const sources = [channelDef?.rules?.roles, roleDefinitions, DEFAULT_ROLES];
+  const capabilities = findRoleDefinition(role, sources) || findRoleDefinition(DEFAULT_ROLE, sources);
+  return new Set(capabilities);
+};
+
+// context: { channelRole, isGlobalAdmin, channelDef, roleDefinitions }
+const hasCapability = (context, capability) => {
+  if (!context.channelRole) {
+    return false;
+  }
+
+  if (context.isGlobalAdmin) {
+    return true;
+  }
+
+  return resolveRoleCapabilities(context.channelRole, context.channelDef, context.roleDefinitions).has(capability);
+};
+
+// The one capability check of socket handlers and HTTP routes: NOT_JOINED
+// without a role in the channel, FORBIDDEN when the role lacks the capability
+const assertCapability = (context, capability) => {
+  if (!context.channelRole) {
+    throw new ProtocolError(ERROR_CODES.NOT_JOINED, 'Join the channel first');
+  }
+
+  if (!hasCapability(context, capability)) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, CAPABILITY_ERRORS[capability]);
+  }
+};
+
+module.exports = {
+  CAPABILITIES,
+  DEFAULT_ROLE,
+  hasCapability,
+  assertCapability
+};
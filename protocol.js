@@ -0,0 +1,293 @@
+// Wire protocol: versions, message schemas and error codes.
+//
+// Version 1 is the original protocol. Version 2 adds acknowledgements: a
+// request carrying `requestId` is answered with `{ type: 'ack', requestId }`
+// or with an `error` echoing the same `requestId`. Clients pick the version
+// through the `wcp.v<N>` WebSocket subprotocol or a `?v=<N>` query parameter.
+const SUPPORTED_PROTOCOL_VERSIONS = [1, 2];
+const DEFAULT_PROTOCOL_VERSION = 1;
+const SUBPROTOCOL_PREFIX = 'wcp.v';
+const MAX_REQUEST_ID_LENGTH = 128;
+const MAX_ID_LENGTH = 128;
+const MAX_TOKEN_LENGTH = 8192;
+
+const ERROR_CODES = Object.freeze({
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNAUTHENTICATED: 'UNAUTHENTICATED',
+  NOT_JOINED: 'NOT_JOINED',
+  ALREADY_JOINED: 'ALREADY_JOINED',
+  FORBIDDEN: 'FORBIDDEN',
+  BLOCKED: 'BLOCKED',
+  MUTED: 'MUTED',
+  BUSY: 'BUSY',
+  NOT_FOUND: 'NOT_FOUND',
+  CHANNEL_FULL: 'CHANNEL_FULL',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  TARGET_UNAVAILABLE: 'TARGET_UNAVAILABLE',
+  TOO_LARGE: 'TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNAVAILABLE: 'UNAVAILABLE',
+  INTERNAL: 'INTERNAL'
+});
+
+// Thrown inside handlers to fail a request with a specific error code
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+const channelIdField = { type: 'string', maxLength: MAX_ID_LENGTH };
+const requiredIdField = { type: 'string', required: true, maxLength: MAX_ID_LENGTH };
+const moderationFields = {
+  channelId: channelIdField,
+  targetUserId: requiredIdField,
+  reason: { type: 'string', maxLength: 500 }
+};
+const signalFields = {
+  channelId: channelIdField,
+  targetUserId: requiredIdField
+};
+const callSignalFields = {
+  ...signalFields,
+  callId: { type: 'string', maxLength: MAX_ID_LENGTH }
+};
+
+// Field specs per message type; fields not listed are ignored
+const MESSAGE_SCHEMAS = {
+  join: {
+    channelId: { ...channelIdField, required: true },
+    firebaseUserIdToken: { type: 'string', maxLength: MAX_TOKEN_LENGTH }
+  },
+  resume: {
+    resumeToken: { type: 'string', required: true, maxLength: MAX_ID_LENGTH },
+    lastSeq: { type: ['integer', 'object'] }
+  },
+  reauth: {
+    firebaseUserIdToken: { type: 'string', required: true, maxLength: MAX_TOKEN_LENGTH }
+  },
+  leave: {
+    channelId: channelIdField
+  },
+  'open-dm': {
+    targetUserId: requiredIdField,
+    firebaseUserIdToken: { type: 'string', maxLength: MAX_TOKEN_LENGTH }
+  },
+  'fetch-dm-conversations': {
+    beforeTs: { type: 'number' }
+  },
+  'block-user': {
+    targetUserId: requiredIdField
+  },
+  'unblock-user': {
+    targetUserId: requiredIdField
+  },
+  chat: {
+    channelId: channelIdField,
+    text: { type: 'string' },
+    parentId: { type: 'string', maxLength: MAX_ID_LENGTH },
+    quoteId: { type: 'string', maxLength: MAX_ID_LENGTH },
+    attachmentIds: { type: 'array' }
+  },
+  'chat-edit': {
+    channelId: channelIdField,
+    messageId: requiredIdField,
+    text: { type: 'string', required: true }
+  },
+  'chat-delete': {
+    channelId: channelIdField,
+    messageId: requiredIdField
+  },
+  'fetch-history': {
+    channelId: channelIdField,
+    beforeTs: { type: 'number' },
+    beforeId: { type: 'string', maxLength: MAX_ID_LENGTH }
+  },
+  'fetch-call-history': {
+    channelId: channelIdField,
+    beforeTs: { type: 'number' },
+    missedOnly: { type: 'boolean' }
+  },
+  'fetch-thread': {
+    channelId: channelIdField,
+    parentId: requiredIdField,
+    beforeTs: { type: 'number' }
+  },
+  'search-history': {
+    channelId: channelIdField,
+    query: { type: 'string', maxLength: 200 },
+    authorId: { type: 'string', maxLength: MAX_ID_LENGTH },
+    fromTs: { type: 'number' },
+    toTs: { type: 'number' },
+    cursor: { type: 'string', maxLength: 256 },
+    limit: { type: 'integer' }
+  },
+  'request-upload': {
+    channelId: channelIdField,
+    fileName: { type: 'string', required: true, maxLength: 255 },
+    contentType: { type: 'string', required: true, maxLength: 255 },
+    size: { type: 'integer', required: true }
+  },
+  typing: {
+    channelId: channelIdField,
+    isTyping: { type: 'boolean' }
+  },
+  'mark-read': {
+    channelId: channelIdField,
+    seq: { type: 'integer', required: true }
+  },
+  ping: {
+    clientTs: { type: 'number' }
+  },
+  'set-status': {
+    status: { type: 'string', required: true, maxLength: 16 }
+  },
+  'fetch-presence': {
+    userIds: { type: 'array', required: true }
+  },
+  kick: moderationFields,
+  mute: {
+    ...moderationFields,
+    durationSeconds: { type: 'integer' }
+  },
+  unmute: moderationFields,
+  block: moderationFields,
+  unblock: moderationFields,
+  'webrtc-offer': {
+    ...signalFields,
+    sdp: { type: ['string', 'object'], required: true }
+  },
+  'webrtc-answer': {
+    ...signalFields,
+    sdp: { type: ['string', 'object'], required: true }
+  },
+  'webrtc-ice': {
+    ...signalFields,
+    ice: { type: ['string', 'object'] },
+    candidate: { type: ['string', 'object'] }
+  },
+  'call-invite': {
+    ...signalFields,
+    media: { type: 'string', maxLength: 16 }
+  },
+  'call-accept': {
+    channelId: channelIdField,
+    callId: requiredIdField
+  },
+  'room-call-join': {
+    channelId: channelIdField
+  },
+  'room-call-leave': {
+    channelId: channelIdField
+  },
+  'call-cancelled': callSignalFields,
+  'call-rejected': callSignalFields,
+  'call-ended': callSignalFields
+};
+
+const ENVELOPE_SCHEMA = {
+  type: { type: 'string', required: true, maxLength: MAX_ID_LENGTH },
+  v: { type: 'integer' },
+  requestId: { type: ['string', 'integer'], maxLength: MAX_REQUEST_ID_LENGTH }
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+const validateFields = (msg, schema) => {
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        return `Field "${field}" is required`;
+      }
+      continue;
+    }
+
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      return `Field "${field}" must be of type ${types.join(' or ')}`;
+    }
+
+    if (spec.maxLength && String(value).length > spec.maxLength) {
+      return `Field "${field}" is too long`;
+    }
+  }
+
+  return null;
+};
+
+// Returns null for a valid message, otherwise a ProtocolError to report
+const validateMessage = (msg) => {
+  const envelopeError = validateFields(msg, ENVELOPE_SCHEMA);
+  if (envelopeError) {
+    return new ProtocolError(ERROR_CODES.INVALID_MESSAGE, envelopeError);
+  }
+
+  // Own properties only, so names like "constructor" are not message types
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, msg.type)) {
+    return new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${msg.type}"`);
+  }
+
+  const fieldError = validateFields(msg, MESSAGE_SCHEMAS[msg.type]);
+  return fieldError ? new ProtocolError(ERROR_CODES.INVALID_MESSAGE, fieldError) : null;
+};
+
+const parseVersion = (raw) => {
+  const version = Number(raw);
+  return Number.isInteger(version) ? version : undefined;
+};
+
+// ws `handleProtocols` hook: picks the newest wcp.v<N> subprotocol we support
+const selectSubprotocol = (protocols) => {
+  const versions = Array.from(protocols)
+    .filter((protocol) => protocol.startsWith(SUBPROTOCOL_PREFIX))
+    .map((protocol) => parseVersion(protocol.slice(SUBPROTOCOL_PREFIX.length)))
+    .filter((version) => SUPPORTED_PROTOCOL_VERSIONS.includes(version));
+
+  return versions.length > 0
+    ? `${SUBPROTOCOL_PREFIX}${Math.max(...versions)}`
+    : false;
+};
+
+// Resolves the version of a new connection; undefined means unsupported
+const negotiateProtocolVersion = (subprotocol, requestUrl) => {
+  if (subprotocol && subprotocol.startsWith(SUBPROTOCOL_PREFIX)) {
+    return parseVersion(subprotocol.slice(SUBPROTOCOL_PREFIX.length));
+  }
+
+  const query = new URL(requestUrl || '/', 'http://localhost').searchParams;
+  if (!query.has('v')) {
+    return DEFAULT_PROTOCOL_VERSION;
+  }
+
+  const version = parseVersion(query.get('v'));
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version) ? version : undefined;
+};
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ERROR_CODES,
+  ProtocolError,
+  MESSAGE_SCHEMAS,
+  validateMessage,
+  selectSubprotocol,
+  negotiateProtocolVersion
+};
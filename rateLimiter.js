@@ -0,0 +1,229 @@
+const { createLogger } = require('./logger');
+const { CAPABILITIES, hasCapability } = require('./permissions');
+
+// Token-bucket limits for incoming socket messages.
+//
+// Limits are { capacity, refillPerSecond } per message type; `export-history`
+// covers history exports over HTTP. RATE_LIMITS (JSON)
+// overrides the defaults and may hold per-role limits under `roles`, e.g.
+// { "chat": { "capacity": 5, "refillPerSecond": 1 }, "roles": { "admin": { "chat": {...} } } }.
+// Channels can add their own limits in `rules.rateLimits` (same shape) and a
+// slow mode in `rules.slowModeSeconds`; those are tracked in separate
+// per-channel buckets on top of the global ones. Roles granting
+// `bypass-slow-mode` are exempt from slow mode.
+const log = createLogger('rateLimiter');
+const DEFAULT_LIMITS = {
+  default: { capacity: 20, refillPerSecond: 10 },
+  join: { capacity: 5, refillPerSecond: 0.2 },
+  resume: { capacity: 5, refillPerSecond: 0.2 },
+  reauth: { capacity: 5, refillPerSecond: 0.2 },
+  'open-dm': { capacity: 5, refillPerSecond: 0.2 },
+  chat: { capacity: 10, refillPerSecond: 1 },
+  'chat-edit': { capacity: 5, refillPerSecond: 0.5 },
+  'chat-delete': { capacity: 5, refillPerSecond: 0.5 },
+  typing: { capacity: 5, refillPerSecond: 1 },
+  'set-status': { capacity: 5, refillPerSecond: 0.5 },
+  'search-history': { capacity: 5, refillPerSecond: 0.5 },
+  'export-history': { capacity: 3, refillPerSecond: 0.05 },
+  'request-upload': { capacity: 5, refillPerSecond: 0.2 },
+  'call-invite': { capacity: 5, refillPerSecond: 0.2 },
+  'room-call-join': { capacity: 5, refillPerSecond: 0.2 },
+  'webrtc-ice': { capacity: 100, refillPerSecond: 25 },
+  roles: {
+    admin: {
+      chat: { capacity: 30, refillPerSecond: 5 }
+    }
+  }
+};
+
+const VIOLATION_WINDOW_MS = 60000; // 1 minute
+const WARN_AFTER_VIOLATIONS = 1;
+const DISCONNECT_AFTER_VIOLATIONS = 30;
+const BUCKET_IDLE_MS = 10 * 60000; // 10 minutes
+
+const loadConfiguredLimits = () => {
+  const raw = process.env.RATE_LIMITS;
+  if (!raw) {
+    return DEFAULT_LIMITS;
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return {
+      ...DEFAULT_LIMITS,
+      ...parsed,
+      roles: {
+        ...DEFAULT_LIMITS.roles,
+        ...parsed.roles
+      }
+    };
+  } catch (err) {
+    log.error('Invalid RATE_LIMITS JSON', err);
+    throw err;
+  }
+};
+
+// `roles` sits next to the message types, so it is never a message type's limit
+const getOwnEntry = (entries, key) =>
+  entries && Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+
+const getMessageTypeLimit = (limits, messageType) =>
+  messageType === 'roles' ? undefined : getOwnEntry(limits, messageType);
+
+const isValidLimit = (limit) =>
+  Boolean(limit) &&
+  Number(limit.capacity) > 0 &&
+  Number(limit.refillPerSecond) > 0;
+
+class RateLimiter {
+  constructor(limits = loadConfiguredLimits()) {
+    this.limits = limits;
+    this.buckets = new Map();
+    this.violations = new WeakMap();
+    this.counters = {
+      allowed: 0,
+      limited: {},
+      warnings: 0,
+      throttled: 0,
+      disconnects: 0,
+      oversized: 0
+    };
+
+    const pruneTimer = setInterval(() => this.pruneIdleBuckets(), BUCKET_IDLE_MS);
+    pruneTimer.unref();
+  }
+
+  resolveLimit(config, messageType, role) {
+    if (!config) {
+      return undefined;
+    }
+
+    const roleLimits = role ? getOwnEntry(config.roles, role) : undefined;
+    return getMessageTypeLimit(roleLimits, messageType) || getMessageTypeLimit(config, messageType);
+  }
+
+  resolveGlobalLimit(messageType, role) {
+    return (
+      this.resolveLimit(this.limits, messageType, role) ||
+      this.limits.default
+    );
+  }
+
+  // access: { isGlobalAdmin, roleDefinitions }, for the role's capabilities
+  resolveChannelLimit(channelDef, messageType, role, access = {}) {
+    const rules = channelDef && channelDef.rules;
+    if (!rules) {
+      return undefined;
+    }
+
+    const slowModeSeconds = Number(rules.slowModeSeconds);
+    if (
+      messageType === 'chat' &&
+      slowModeSeconds > 0 &&
+      !hasCapability({ ...access, channelRole: role, channelDef }, CAPABILITIES.BYPASS_SLOW_MODE)
+    ) {
+      return { capacity: 1, refillPerSecond: 1 / slowModeSeconds };
+    }
+
+    return this.resolveLimit(rules.rateLimits, messageType, role);
+  }
+
+  takeToken(key, limit, now) {
+    const capacity = Number(limit.capacity);
+    const refillPerSecond = Number(limit.refillPerSecond);
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000);
+  }
+
+  // Returns { allowed, retryAfterMs } and consumes a token from every bucket
+  // that applies to the message. messageType must come from a fixed set
+  // (unknown client types share one `unknown` type), as it is part of the
+  // bucket keys.
+  consume({ subject, messageType, channelId, role, channelDef, isGlobalAdmin, roleDefinitions }) {
+    const now = Date.now();
+    const type = messageType || 'unknown';
+    const checks = [[`${subject}:${type}`, this.resolveGlobalLimit(type, role)]];
+
+    const channelLimit = this.resolveChannelLimit(channelDef, type, role, { isGlobalAdmin, roleDefinitions });
+    if (channelId && isValidLimit(channelLimit)) {
+      checks.push([`${subject}:${channelId}:${type}`, channelLimit]);
+    }
+
+    let retryAfterMs = 0;
+    checks.forEach(([key, limit]) => {
+      if (isValidLimit(limit)) {
+        retryAfterMs = Math.max(retryAfterMs, this.takeToken(key, limit, now));
+      }
+    });
+
+    if (retryAfterMs > 0) {
+      this.counters.limited[type] = (this.counters.limited[type] || 0) + 1;
+      return { allowed: false, retryAfterMs };
+    }
+
+    this.counters.allowed += 1;
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  // Escalates repeated violations of one socket: 'warning', then 'throttle',
+  // then 'disconnect'.
+  recordViolation(socket) {
+    const now = Date.now();
+    let entry = this.violations.get(socket);
+    if (!entry || now - entry.windowStart > VIOLATION_WINDOW_MS) {
+      entry = { count: 0, windowStart: now };
+      this.violations.set(socket, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count >= DISCONNECT_AFTER_VIOLATIONS) {
+      this.counters.disconnects += 1;
+      return 'disconnect';
+    }
+
+    if (entry.count <= WARN_AFTER_VIOLATIONS) {
+      this.counters.warnings += 1;
+      return 'warning';
+    }
+
+    this.counters.throttled += 1;
+    return 'throttle';
+  }
+
+  recordOversized() {
+    this.counters.oversized += 1;
+  }
+
+  pruneIdleBuckets() {
+    const cutoff = Date.now() - BUCKET_IDLE_MS;
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.updatedAt < cutoff) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  getCounters() {
+    return {
+      ...this.counters,
+      limited: { ...this.counters.limited },
+      trackedBuckets: this.buckets.size
+    };
+  }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,398 @@
+const BaseBroker = require('./baseBroker');
+const { createLogger } = require('./logger');
+
+const log = createLogger('redisBroker');
+const INSTANCE_HEARTBEAT_MS = 5000; // 5 seconds
+const INSTANCE_TTL_MS = 15000; // 15 seconds
+const USER_PRESENCE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Merges fields into a call record unless it is gone; ARGV is the TTL
+// followed by field/value pairs. Returns the record as HGETALL does, or nil.
+const UPDATE_CALL_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 0 then
+  return nil
+end
+for i = 2, #ARGV, 2 do
+  redis.call('hset', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+redis.call('pexpire', KEYS[1], ARGV[1])
+return redis.call('hgetall', KEYS[1])
+`;
+
+// Adds a member to a presence hash unless it already holds ARGV[3] members
+// (0 for no limit); a connection that is already a member may be rewritten.
+// ARGV is the connectionId, the member JSON and the limit.
+const ADD_MEMBER_SCRIPT = `
+local limit = tonumber(ARGV[3])
+if limit > 0 and redis.call('hexists', KEYS[1], ARGV[1]) == 0 and redis.call('hlen', KEYS[1]) >= limit then
+  return 0
+end
+redis.call('hset', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+// Replaces a hash field only while it still holds the value read before, so
+// a member removed or changed in the meantime is not written back
+const REPLACE_FIELD_IF_EQUAL_SCRIPT = `
+if redis.call('hget', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('hset', KEYS[1], ARGV[1], ARGV[3])
+  return 1
+end
+return 0
+`;
+const MEMBER_UPDATE_ATTEMPTS = 5;
+
+// Deletes a key only while it still holds the given value
+const DELETE_IF_EQUAL_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Call records are hashes with one JSON encoded value per field, so updates
+// only touch the fields they change
+const toCallFields = (record) =>
+  Object.entries(record)
+    .filter(([, value]) => value !== undefined)
+    .flatMap(([field, value]) => [field, JSON.stringify(value)]);
+
+const fromCallFields = (fields) =>
+  Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, JSON.parse(value)]));
+
+const pairsToObject = (pairs) => {
+  const fields = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    fields[pairs[i]] = pairs[i + 1];
+  }
+  return fields;
+};
+
+// Results of MULTI/EXEC come back as [err, result] pairs
+const unwrapTransaction = (results) => {
+  if (!results) {
+    throw new Error('Redis transaction was aborted');
+  }
+
+  return results.map(([err, result]) => {
+    if (err) {
+      throw err;
+    }
+    return result;
+  });
+};
+
+// Cluster broker on top of Redis pub/sub, hashes and lists. It only needs an
+// ioredis-compatible `publisher` (publish, hset/hget/hdel/hgetall, get, mget,
+// set, del, rpush, pexpire, lrange, multi and defineCommand for Lua scripts)
+// and a `subscriber` (subscribe, 'message' events), so a local stand-in such
+// as ioredis-mock can be passed in place of a real server. Every
+// read-modify-write goes through MULTI or a script, so concurrent instances
+// cannot lose each other's updates.
+//
+// Keys: <prefix>presence:<channelId> hash of members by connectionId,
+// <prefix>signals:<channelId>:<userId> list of buffered signals,
+// <prefix>instance:<instanceId> pub/sub topic of an instance,
+// <prefix>alive:<instanceId> liveness key of an instance,
+// <prefix>call-record:<callId> hash of a call record and
+// <prefix>user-call:<userId> the call a user is part of, claimed with SET NX
+// so concurrent invites cannot overlap.
+// <prefix>room-call:<channelId> hash of room call participants by connectionId.
+// <prefix>user-connections:<userId> hash of a user's presence records by
+// connectionId and <prefix>user-presence:<userId> the last announced presence.
+// <prefix>upload:<attachmentId> marks a used upload token, set with SET NX.
+// Members of instances whose liveness key expired are dropped on read.
+class RedisBroker extends BaseBroker {
+  constructor({ publisher, subscriber, keyPrefix = 'wcp:' }) {
+    super();
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.keyPrefix = keyPrefix;
+    this.heartbeatTimer = null;
+
+    this.publisher.defineCommand('wcpUpdateCall', { numberOfKeys: 1, lua: UPDATE_CALL_SCRIPT });
+    this.publisher.defineCommand('wcpDeleteIfEqual', { numberOfKeys: 1, lua: DELETE_IF_EQUAL_SCRIPT });
+    this.publisher.defineCommand('wcpAddMember', { numberOfKeys: 1, lua: ADD_MEMBER_SCRIPT });
+    this.publisher.defineCommand('wcpReplaceFieldIfEqual', { numberOfKeys: 1, lua: REPLACE_FIELD_IF_EQUAL_SCRIPT });
+  }
+
+  key(...parts) {
+    return `${this.keyPrefix}${parts.join(':')}`;
+  }
+
+  async start() {
+    this.subscriber.on('message', (topic, raw) => {
+      this.handleTopicMessage(topic, raw);
+    });
+    await this.subscriber.subscribe(
+      this.key('channel-messages'),
+      this.key('instance', this.instanceId)
+    );
+
+    await this.refreshHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.refreshHeartbeat().catch((err) => {
+        log.error('Broker heartbeat failed', err);
+      });
+    }, INSTANCE_HEARTBEAT_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  async stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    await this.publisher.del(this.key('alive', this.instanceId));
+  }
+
+  refreshHeartbeat() {
+    return this.publisher.set(this.key('alive', this.instanceId), '1', 'PX', INSTANCE_TTL_MS);
+  }
+
+  handleTopicMessage(topic, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      log.error('Invalid broker message', err);
+      return;
+    }
+
+    if (topic === this.key('channel-messages')) {
+      this.emit('channel-message', message.channelId, message.payload, message.exceptConnectionId);
+    } else if (topic === this.key('instance', this.instanceId)) {
+      this.emit('connection-message', message.connectionId, message.payload);
+    }
+  }
+
+  async publishToChannel(channelId, payload, exceptConnectionId) {
+    await this.publisher.publish(
+      this.key('channel-messages'),
+      JSON.stringify({ channelId, payload, exceptConnectionId })
+    );
+  }
+
+  async sendToConnection(member, payload) {
+    await this.publisher.publish(
+      this.key('instance', member.instanceId),
+      JSON.stringify({ connectionId: member.connectionId, payload })
+    );
+  }
+
+  // Members of stopped instances are dropped first so they do not count
+  // against maxMembers; the count and the write happen in one script
+  async addMember(channelId, member, maxMembers) {
+    if (maxMembers) {
+      await this.listMembers(channelId);
+    }
+
+    const added = await this.publisher.wcpAddMember(
+      this.key('presence', channelId),
+      member.connectionId,
+      JSON.stringify({ ...member, instanceId: this.instanceId }),
+      maxMembers || 0
+    );
+    return added === 1;
+  }
+
+  // Optimistic read-modify-write: the merged member is only written while
+  // the stored one is unchanged, and re-read otherwise
+  async updateMember(channelId, connectionId, changes) {
+    const presenceKey = this.key('presence', channelId);
+    for (let attempt = 0; attempt < MEMBER_UPDATE_ATTEMPTS; attempt += 1) {
+      const raw = await this.publisher.hget(presenceKey, connectionId);
+      if (!raw) {
+        return;
+      }
+
+      const updated = JSON.stringify({ ...JSON.parse(raw), ...changes });
+      if (await this.publisher.wcpReplaceFieldIfEqual(presenceKey, connectionId, raw, updated)) {
+        return;
+      }
+    }
+    throw new Error(`Member ${connectionId} of ${channelId} kept changing during an update`);
+  }
+
+  async removeMember(channelId, connectionId) {
+    await this.publisher.hdel(this.key('presence', channelId), connectionId);
+  }
+
+  async listMembers(channelId) {
+    return this.listLiveEntries(this.key('presence', channelId));
+  }
+
+  // Entries of a hash keyed by connectionId, minus (and removing) the ones of
+  // instances that stopped refreshing their liveness key
+  async listLiveEntries(hashKey) {
+    const entries = await this.publisher.hgetall(hashKey);
+    const records = Object.values(entries || {}).map((raw) => JSON.parse(raw));
+    if (records.length === 0) {
+      return [];
+    }
+
+    const instanceIds = Array.from(new Set(records.map((record) => record.instanceId)));
+    const aliveFlags = await this.publisher.mget(
+      ...instanceIds.map((instanceId) => this.key('alive', instanceId))
+    );
+    const aliveInstances = new Set(instanceIds.filter((instanceId, index) => aliveFlags[index]));
+
+    const stale = records.filter((record) => !aliveInstances.has(record.instanceId));
+    if (stale.length > 0) {
+      await this.publisher.hdel(hashKey, ...stale.map((record) => record.connectionId));
+    }
+
+    return this.sortMembers(records.filter((record) => aliveInstances.has(record.instanceId)));
+  }
+
+  async bufferSignal(channelId, userId, payload, ttlMs) {
+    const signalsKey = this.key('signals', channelId, userId);
+    await this.publisher.rpush(
+      signalsKey,
+      JSON.stringify({ payload, expiresAt: Date.now() + ttlMs })
+    );
+    await this.publisher.pexpire(signalsKey, ttlMs);
+  }
+
+  async takeBufferedSignals(channelId, userId) {
+    const signalsKey = this.key('signals', channelId, userId);
+    const [raw] = unwrapTransaction(
+      await this.publisher.multi().lrange(signalsKey, 0, -1).del(signalsKey).exec()
+    );
+    return this.splitBufferedSignals((raw || []).map((entry) => JSON.parse(entry)));
+  }
+
+  async claimCall(call, ttlMs) {
+    const callerKey = this.key('user-call', call.callerId);
+    const calleeKey = this.key('user-call', call.calleeId);
+    if (!(await this.publisher.set(callerKey, call.callId, 'PX', ttlMs, 'NX'))) {
+      return false;
+    }
+    if (!(await this.publisher.set(calleeKey, call.callId, 'PX', ttlMs, 'NX'))) {
+      await this.publisher.del(callerKey);
+      return false;
+    }
+
+    const callKey = this.key('call-record', call.callId);
+    unwrapTransaction(
+      await this.publisher.multi().hset(callKey, ...toCallFields(call)).pexpire(callKey, ttlMs).exec()
+    );
+    return true;
+  }
+
+  async fetchCall(callId) {
+    const fields = await this.publisher.hgetall(this.key('call-record', callId));
+    return fields && Object.keys(fields).length > 0 ? fromCallFields(fields) : null;
+  }
+
+  async fetchUserCall(userId) {
+    const callId = await this.publisher.get(this.key('user-call', userId));
+    return callId ? this.fetchCall(callId) : null;
+  }
+
+  async updateCall(callId, changes, ttlMs) {
+    const pairs = await this.publisher.wcpUpdateCall(
+      this.key('call-record', callId),
+      ttlMs,
+      ...toCallFields(changes)
+    );
+    if (!pairs || pairs.length === 0) {
+      return null;
+    }
+
+    const updated = fromCallFields(pairsToObject(pairs));
+    await this.publisher.pexpire(this.key('user-call', updated.callerId), ttlMs);
+    await this.publisher.pexpire(this.key('user-call', updated.calleeId), ttlMs);
+    return updated;
+  }
+
+  // A user's claim is only dropped while it still points at this call
+  async releaseCall(call) {
+    await this.publisher.del(this.key('call-record', call.callId));
+    await Promise.all([call.callerId, call.calleeId].map((userId) =>
+      this.publisher.wcpDeleteIfEqual(this.key('user-call', userId), call.callId)
+    ));
+  }
+
+  // The participant is written first and kept only if it is among the first
+  // maxParticipants joins, so concurrent joins cannot overfill the roster
+  async addRoomCallParticipant(channelId, participant, maxParticipants, ttlMs) {
+    const roomKey = this.key('room-call', channelId);
+    await this.publisher.hset(
+      roomKey,
+      participant.connectionId,
+      JSON.stringify({ ...participant, instanceId: this.instanceId })
+    );
+    await this.publisher.pexpire(roomKey, ttlMs);
+
+    const participants = await this.listLiveEntries(roomKey);
+    const position = participants.findIndex((entry) => entry.connectionId === participant.connectionId);
+    if (position >= maxParticipants) {
+      await this.publisher.hdel(roomKey, participant.connectionId);
+      return false;
+    }
+    return true;
+  }
+
+  async removeRoomCallParticipant(channelId, connectionId) {
+    const roomKey = this.key('room-call', channelId);
+    const [raw] = unwrapTransaction(
+      await this.publisher.multi().hget(roomKey, connectionId).hdel(roomKey, connectionId).exec()
+    );
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async listRoomCallParticipants(channelId) {
+    return this.listLiveEntries(this.key('room-call', channelId));
+  }
+
+  async setPresenceConnection(userId, record) {
+    const connectionsKey = this.key('user-connections', userId);
+    await this.publisher.hset(
+      connectionsKey,
+      record.connectionId,
+      JSON.stringify({ ...record, instanceId: this.instanceId })
+    );
+    await this.publisher.pexpire(connectionsKey, USER_PRESENCE_TTL_MS);
+  }
+
+  async removePresenceConnection(userId, connectionId) {
+    await this.publisher.hdel(this.key('user-connections', userId), connectionId);
+  }
+
+  async listPresenceConnections(userId) {
+    return this.listLiveEntries(this.key('user-connections', userId));
+  }
+
+  async swapUserPresence(userId, presence) {
+    const presenceKey = this.key('user-presence', userId);
+    const [raw] = unwrapTransaction(
+      await this.publisher
+        .multi()
+        .get(presenceKey)
+        .set(presenceKey, JSON.stringify(presence), 'PX', USER_PRESENCE_TTL_MS)
+        .exec()
+    );
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async fetchUserPresences(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const raw = await this.publisher.mget(...userIds.map((userId) => this.key('user-presence', userId)));
+    return raw.map((entry) => (entry ? JSON.parse(entry) : null));
+  }
+
+  async reserveUpload(attachmentId, ttlMs) {
+    return Boolean(await this.publisher.set(this.key('upload', attachmentId), '1', 'PX', ttlMs, 'NX'));
+  }
+
+  async releaseUpload(attachmentId) {
+    await this.publisher.del(this.key('upload', attachmentId));
+  }
+}
+
+module.exports = RedisBroker;
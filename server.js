@@ -1,15 +1,199 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
 const http = require('http');
 const WebSocket = require('ws');
-const firebaseAccess = require('./firebaseAccess');
-
+const attachmentStore = require('./attachmentStorage');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  UPLOAD_TOKEN_TTL_MS,
+  createUploadToken,
+  normalizeContentType,
+  checkAttachmentRules,
+  sanitizeFileName,
+  toAttachmentPayload
+} = require('./attachments');
+const broker = require('./broker');
+const dataAccess = require('./dataAccess');
+const {
+  getDirectConversationId,
+  isDirectConversationId,
+  getOtherParticipantId,
+  hasBlocked,
+  toConversationSummary
+} = require('./directMessages');
+const { createHttpApi } = require('./httpApi');
+const { createLogger, setLogContext } = require('./logger');
+const metrics = require('./metrics');
+const {
+  parseQueryTerms,
+  findHighlights,
+  encodeSearchCursor,
+  decodeSearchCursor
+} = require('./messageSearch');
+const {
+  CAPABILITIES,
+  DEFAULT_ROLE,
+  assertCapability,
+  hasCapability
+} = require('./permissions');
+const {
+  ERROR_CODES,
+  ProtocolError,
+  validateMessage,
+  selectSubprotocol,
+  negotiateProtocolVersion
+} = require('./protocol');
+const rateLimiter = require('./rateLimiter');
+
+const log = createLogger('server');
 const PORT = process.env.PORT || 4000;
 const HISTORY_PAGE_SIZE = 8;
+const SEARCH_PAGE_SIZE = 20;
+const DM_CONVERSATIONS_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES) || 16 * 1024; // 16 KB
+const MAX_CHAT_TEXT_LENGTH = Number(process.env.MAX_CHAT_TEXT_LENGTH) || 4000;
+const SEQ_RETRY_AFTER_MS = 1000;
 
 const server = http.createServer();
-const wss = new WebSocket.Server({ server });
+// Frames far beyond the limit are refused by ws itself (close code 1009)
+const wss = new WebSocket.Server({
+  server,
+  maxPayload: MAX_MESSAGE_BYTES * 4,
+  handleProtocols: selectSubprotocol
+});
+// Tracks the request being handled so errors and acks can echo its requestId
+// and log entries carry its connection, user and channel
+const requestContext = new AsyncLocalStorage();
+setLogContext(() => {
+  const request = requestContext.getStore();
+  if (!request) {
+    return undefined;
+  }
+
+  return {
+    connectionId: request.socket.connectionId,
+    userId: request.socket.userId,
+    channelId: request.channelId,
+    requestType: request.type,
+    requestId: request.requestId
+  };
+});
+
+// Correlation fields for entries logged outside of a request
+const socketLogFields = (socket) => ({
+  connectionId: socket.connectionId,
+  userId: socket.userId
+});
 const socketsPerChannel = new Map();
-const pendingSignals = new Map();
+const socketsByConnectionId = new Map();
 const SIGNAL_BUFFER_TTL_MS = 10000; // 10 seconds
+const resumableSessions = new Map();
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 30000; // 30 seconds
+const REPLAY_PAGE_SIZE = 100;
+const REPLAY_MAX_MESSAGES = 1000;
+const TYPING_MIN_INTERVAL_MS = 2000; // 2 seconds
+const CALL_RING_TIMEOUT_MS = Number(process.env.CALL_RING_TIMEOUT_MS) || 30000; // 30 seconds
+const ACTIVE_CALL_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const ringTimers = new Map();
+const MAX_ROOM_CALL_PARTICIPANTS = Number(process.env.MAX_ROOM_CALL_PARTICIPANTS) || 8;
+const PRESENCE_AWAY_AFTER_MS = Number(process.env.PRESENCE_AWAY_AFTER_MS) || 5 * 60000; // 5 minutes
+const PRESENCE_IDLE_CHECK_MS = Math.min(30000, PRESENCE_AWAY_AFTER_MS / 2); // at most 30 seconds
+const PRESENCE_STATUSES = ['online', 'away', 'busy'];
+const MAX_PRESENCE_USERS = 100;
+const DEFAULT_MUTE_SECONDS = 10 * 60; // 10 minutes
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 30000; // 30 seconds
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 8000; // within Cloud Run's 10 second grace
+const SHUTDOWN_DRAIN_MS = 3000; // 3 seconds
+const SHUTDOWN_CLOSE_MS = 2000; // 2 seconds
+const SHUTDOWN_SETTLE_MS = 500;
+const SHUTDOWN_RECONNECT_JITTER_MS = 5000; // 5 seconds
+// Requests that start a session are refused while shutting down
+const SESSION_REQUEST_TYPES = new Set(['join', 'resume', 'open-dm']);
+const MAX_MUTE_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const TOKEN_EXPIRY_WARNING_MS = Number(process.env.TOKEN_EXPIRY_WARNING_MS) || 5 * 60000; // 5 minutes
+const TOKEN_CHECK_INTERVAL_MS = Number(process.env.TOKEN_CHECK_INTERVAL_MS) || 15000; // 15 seconds
+const REVOCATION_CHECK_INTERVAL_MS = Number(process.env.REVOCATION_CHECK_INTERVAL_MS) || 5 * 60000; // 5 minutes
+const RETENTION_PURGE_INTERVAL_MS = Number(process.env.RETENTION_PURGE_INTERVAL_MS) || 60 * 60000; // 1 hour
+const RETENTION_PURGE_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let isServerReady = false;
+let isShuttingDown = false;
+let inFlightRequests = 0;
+
+const joinsCounter = metrics.counter('wcp_channel_joins_total', 'Successful channel joins');
+const joinFailuresCounter = metrics.counter(
+  'wcp_channel_join_failures_total',
+  'Failed channel joins by error code',
+  ['reason']
+);
+const messagesCounter = metrics.counter(
+  'wcp_messages_total',
+  'Incoming socket messages by type',
+  ['type']
+);
+const handlerDuration = metrics.histogram(
+  'wcp_handler_duration_seconds',
+  'Time spent handling incoming socket messages',
+  ['type']
+);
+const storageDuration = metrics.histogram(
+  'wcp_storage_duration_seconds',
+  'Latency of storage calls on the chat path',
+  ['operation']
+);
+const storageErrorsCounter = metrics.counter(
+  'wcp_storage_errors_total',
+  'Failed storage calls on the chat path',
+  ['operation']
+);
+const signalsBufferedCounter = metrics.counter('wcp_signals_buffered_total', 'Signals buffered for absent users');
+const signalsExpiredCounter = metrics.counter('wcp_signals_expired_total', 'Buffered signals discarded after expiring');
+const messagesPurgedCounter = metrics.counter('wcp_messages_purged_total', 'Messages deleted by retention policies');
+metrics.gauge('wcp_connections', 'Open WebSocket connections on this instance', () => [
+  { value: wss.clients.size }
+]);
+// Direct-message conversations are summed up so they do not add a series each
+metrics.gauge('wcp_channel_sockets', 'Sockets joined per channel on this instance', () => {
+  const counts = new Map();
+  socketsPerChannel.forEach((sockets, channelId) => {
+    const channel = isDirectConversationId(channelId) ? 'direct' : channelId;
+    counts.set(channel, (counts.get(channel) || 0) + sockets.length);
+  });
+  return Array.from(counts.entries()).map(([channel, value]) => ({ labels: { channel }, value }));
+});
+metrics.gauge('wcp_signals_pending', 'Buffered signals awaiting delivery', async () => {
+  const count = await broker.countBufferedSignals();
+  return count === null ? [] : [{ value: count }];
+});
+// The rate limiter keeps its own totals for sockets and the HTTP API alike
+const collectRateLimitCounter = (name) => () => [{ value: rateLimiter.getCounters()[name] }];
+metrics.collectedCounter('wcp_rate_limit_allowed_total', 'Messages allowed by the rate limiter', collectRateLimitCounter('allowed'));
+metrics.collectedCounter('wcp_rate_limited_total', 'Messages rejected by the rate limiter', () =>
+  Object.entries(rateLimiter.getCounters().limited).map(([type, value]) => ({ labels: { type }, value })));
+metrics.collectedCounter('wcp_rate_limit_warnings_total', 'Flooding sockets warned', collectRateLimitCounter('warnings'));
+metrics.collectedCounter('wcp_rate_limit_throttled_total', 'Flooding sockets throttled', collectRateLimitCounter('throttled'));
+metrics.collectedCounter('wcp_rate_limit_disconnects_total', 'Flooding sockets disconnected', collectRateLimitCounter('disconnects'));
+metrics.collectedCounter('wcp_oversized_messages_total', 'Socket messages rejected for their size', collectRateLimitCounter('oversized'));
+metrics.gauge('wcp_rate_limit_buckets', 'Rate limit buckets tracked on this instance', collectRateLimitCounter('trackedBuckets'));
+
+// Storage calls are timed wherever they are made, socket handlers or HTTP API.
+// The providers let these calls throw so failures are counted; callers handle
+// the errors
+['saveChatMessage', 'fetchRecentMessages', 'fetchThreadMessages', 'fetchUserProfile'].forEach((operation) => {
+  const call = dataAccess[operation].bind(dataAccess);
+  dataAccess[operation] = async (...args) => {
+    const stopTimer = storageDuration.startTimer({ operation });
+    try {
+      return await call(...args);
+    } catch (err) {
+      storageErrorsCounter.inc({ operation });
+      throw err;
+    } finally {
+      stopTimer();
+    }
+  };
+});
 
 const getSocketsForChannel = (channelId) => {
   if (!channelId) {
@@ -23,30 +207,102 @@ const getSocketsForChannel = (channelId) => {
   return socketsPerChannel.get(channelId);
 };
 
-const broadcastToChannel = (channelId, payload) => {
+// Broadcasts go through the broker so sockets on every instance receive them
+const broadcastToChannel = (channelId, payload, exceptSocket) => {
+  broker.publishToChannel(channelId, payload, exceptSocket?.connectionId).catch((err) => {
+    log.error('Failed to publish channel broadcast', err);
+  });
+};
+
+const deliverToLocalChannel = (channelId, payload, exceptConnectionId) => {
   const sockets = socketsPerChannel.get(channelId);
   if (!sockets) {
     return;
   }
 
   sockets.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
+    if (client.connectionId !== exceptConnectionId && client.readyState === WebSocket.OPEN) {
       client.send(JSON.stringify(payload));
     }
   });
 };
 
-const sendChannelUsers = (socket, channelId) => {
-  const sockets = socketsPerChannel.get(channelId) || [];
-  const users = sockets.map((entry) => ({
+const deliverToLocalConnection = (connectionId, payload) => {
+  const socket = socketsByConnectionId.get(connectionId);
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    // Kicks are carried out by the instance holding the socket
+    if (payload.type === 'kicked') {
+      evictSocketFromChannel(socket, payload.channelId, payload.reason, ERROR_CODES.FORBIDDEN);
+      return;
+    }
+
+    socket.send(JSON.stringify(payload));
+    return;
+  }
+
+  if (payload.type === 'kicked') {
+    return;
+  }
+
+  // The target went away while the signal was in flight
+  if (payload.channelId && payload.targetUserId) {
+    bufferSignal(payload.channelId, payload.targetUserId, payload).catch((err) => {
+      log.error('Failed to buffer signal', err);
+    });
+  }
+};
+
+broker.on('channel-message', deliverToLocalChannel);
+broker.on('connection-message', deliverToLocalConnection);
+
+// Resolves to false when the channel already holds maxUsers members
+const addChannelMember = (socket, channelId, maxUsers) => {
+  return broker.addMember(channelId, {
+    connectionId: socket.connectionId,
+    userId: socket.userId || null,
+    username: socket.username,
+    lastReadSeq: getLastReadSeq(socket, channelId),
+    joinedAt: Date.now()
+  }, maxUsers);
+};
+
+const getLastReadSeq = (socket, channelId) => {
+  const position = socket.userProfile?.readPositions?.[channelId];
+  return Number(position?.seq) || 0;
+};
+
+const sendChannelUsers = async (socket, channelId) => {
+  const members = await broker.listMembers(channelId);
+  const presences = await fetchPresenceByUserId(members.map((entry) => entry.userId));
+  const users = members.map((entry) => ({
     username: entry.username,
-    userId: entry.userId
+    userId: entry.userId,
+    status: presences.get(entry.userId)?.status || 'online',
+    lastReadSeq: Number(entry.lastReadSeq) || 0
   }));
 
+  const roomCallParticipants = await broker.listRoomCallParticipants(channelId);
+
+  const lastReadSeq = getLastReadSeq(socket, channelId);
+  let unreadCount = 0;
+  try {
+    const latestSeq = await dataAccess.fetchLatestMessageSeq(channelId);
+    unreadCount = Math.max(latestSeq - lastReadSeq, 0);
+  } catch (err) {
+    log.error('Failed to compute unread count', err);
+  }
+
+  if (socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
   socket.send(JSON.stringify({
     type: 'channel-users',
     channelId,
-    users
+    users,
+    roomCallParticipants: roomCallParticipants.map(toRoomCallParticipant),
+    lastReadSeq,
+    unreadCount
   }));
 };
 
@@ -70,12 +326,30 @@ const broadcastChatMessage = (channelId, payload) => {
   broadcastToChannel(channelId, payload);
 };
 
-const sendSocketError = (socket, text) => {
+// Returns the request currently handled for this socket and marks it failed
+const failCurrentRequest = (socket) => {
+  const request = requestContext.getStore();
+  if (!request || request.socket !== socket) {
+    return undefined;
+  }
+
+  request.failed = true;
+  return request;
+};
+
+const sendSocketError = (socket, text, code = ERROR_CODES.INTERNAL) => {
+  const request = failCurrentRequest(socket);
   if (socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify({
+    const payload = {
       type: 'error',
+      code,
       text
-    }));
+    };
+    if (request && request.requestId !== undefined) {
+      payload.requestId = request.requestId;
+      payload.requestType = request.type;
+    }
+    socket.send(JSON.stringify(payload));
   }
 };
 
@@ -96,17 +370,21 @@ const attachUserProfileWatcher = (socket, initialProfile) => {
     socket.userProfileUnsubscribe();
   }
 
-  socket.userProfileUnsubscribe = firebaseAccess.subscribeToUserProfile(
+  socket.userProfileUnsubscribe = dataAccess.subscribeToUserProfile(
     socket.userId,
     (profile) => {
+      const presenceChanged = (profile?.presenceStatus || null) !== (socket.userProfile?.presenceStatus || null);
       socket.userProfile = profile || undefined;
       socket.isGlobalAdmin = Boolean(profile?.globalAdmin);
       if (profile?.name) {
         socket.username = profile.name;
       }
 
-      if (socket.channelId) {
-        enforceSocketChannelAccess(socket);
+      Array.from(socket.channels.keys()).forEach((channelId) => {
+        enforceSocketChannelAccess(socket, channelId);
+      });
+      if (presenceChanged) {
+        schedulePresenceRefresh(socket.userId);
       }
     }
   );
@@ -119,7 +397,138 @@ const detachUserProfileWatcher = (socket) => {
   }
 };
 
-firebaseAccess.on('channels-updated', () => {
+// Presence: every authenticated connection keeps a record in the broker and a
+// user's status is derived from all of them. Calls come first, then a status
+// the user picked (`presenceStatus` in the profile), then activity: a user
+// whose connections have all been idle for PRESENCE_AWAY_AFTER_MS is away.
+// Changes are announced with `presence` to every channel the user is in, and
+// `lastSeen` is written to the profile whenever the user comes online or
+// goes offline.
+const isUserInCall = async (userId, channelIds) => {
+  const call = await broker.fetchUserCall(userId);
+  if (call && call.state === 'active') {
+    return true;
+  }
+
+  const rosters = await Promise.all(channelIds.map((channelId) => broker.listRoomCallParticipants(channelId)));
+  return rosters.some((participants) => participants.some((participant) => participant.userId === userId));
+};
+
+const resolvePresenceStatus = (connections, presenceStatus, inCall) => {
+  if (connections.length === 0) {
+    return 'offline';
+  }
+
+  if (inCall) {
+    return 'in-call';
+  }
+
+  if (presenceStatus === 'busy' || presenceStatus === 'away') {
+    return presenceStatus;
+  }
+
+  return connections.every((connection) => connection.idle) ? 'away' : 'online';
+};
+
+const refreshUserPresence = async (userId, { username, channelIds = [] } = {}) => {
+  const connections = await broker.listPresenceConnections(userId);
+  const announceTo = Array.from(new Set([
+    ...connections.flatMap((connection) => connection.channelIds || []),
+    ...channelIds
+  ]));
+  const [profile, inCall] = await Promise.all([
+    dataAccess.fetchUserProfile(userId),
+    isUserInCall(userId, announceTo)
+  ]);
+
+  const status = resolvePresenceStatus(connections, profile?.presenceStatus, inCall);
+  const lastSeen = Date.now();
+  const previous = await broker.swapUserPresence(userId, { status, lastSeen });
+  if (previous && previous.status === status) {
+    return;
+  }
+
+  const payload = {
+    type: 'presence',
+    userId,
+    username: profile?.name || connections[0]?.username || username || userId,
+    status,
+    lastSeen
+  };
+  await Promise.all(announceTo.map((channelId) => broker.publishToChannel(channelId, payload)));
+  if (status === 'offline' || !previous || previous.status === 'offline') {
+    await dataAccess.saveUserPresence(userId, { lastSeen });
+  }
+};
+
+const schedulePresenceRefresh = (userId, options) => {
+  if (!userId) {
+    return;
+  }
+
+  refreshUserPresence(userId, options).catch((err) => {
+    log.error('Failed to update presence', err);
+  });
+};
+
+const publishPresenceConnection = (socket) => {
+  if (!socket.userId) {
+    return;
+  }
+
+  broker.setPresenceConnection(socket.userId, {
+    connectionId: socket.connectionId,
+    userId: socket.userId,
+    username: socket.username,
+    idle: Boolean(socket.isIdle),
+    channelIds: Array.from(socket.channels.keys())
+  })
+    .then(() => refreshUserPresence(socket.userId))
+    .catch((err) => {
+      log.error('Failed to update presence', err);
+    });
+};
+
+// channelIds are the channels the connection was in, so they still hear
+// about the user going offline
+const removePresenceConnection = (socket, channelIds) => {
+  if (!socket.userId) {
+    return;
+  }
+
+  broker.removePresenceConnection(socket.userId, socket.connectionId)
+    .then(() => refreshUserPresence(socket.userId, { username: socket.username, channelIds }))
+    .catch((err) => {
+      log.error('Failed to update presence', err);
+    });
+};
+
+const markSocketActive = (socket) => {
+  socket.lastActiveAt = Date.now();
+  if (socket.isIdle) {
+    socket.isIdle = false;
+    publishPresenceConnection(socket);
+  }
+};
+
+const fetchPresenceByUserId = async (userIds) => {
+  const uniqueIds = Array.from(new Set(userIds.filter(Boolean)));
+  const presences = await broker.fetchUserPresences(uniqueIds);
+  return new Map(uniqueIds.map((userId, index) => [userId, presences[index]]));
+};
+
+const presenceIdleTimer = setInterval(() => {
+  const idleSince = Date.now() - PRESENCE_AWAY_AFTER_MS;
+  socketsByConnectionId.forEach((socket) => {
+    if (socket.userId && !socket.isIdle && socket.lastActiveAt < idleSince) {
+      socket.isIdle = true;
+      publishPresenceConnection(socket);
+    }
+  });
+}, PRESENCE_IDLE_CHECK_MS);
+presenceIdleTimer.unref();
+
+dataAccess.on('channels-updated', () => {
   enforceChannelPolicies();
 });
 
@@ -135,49 +544,89 @@ const sendChannelHistory = (socket, channelId, messages) => {
   }));
 };
 
-const sendRecentHistory = async (socket, channelId, beforeTs) => {
+const sendRecentHistory = async (socket, channelId, before) => {
   if (!channelId) {
     return;
   }
 
   try {
-    const messages = await firebaseAccess.fetchRecentMessages(
+    const messages = await dataAccess.fetchRecentMessages(
       channelId,
       HISTORY_PAGE_SIZE,
-      beforeTs
+      before
     );
     sendChannelHistory(socket, channelId, messages);
   } catch (err) {
-    console.error('Failed to send channel history', err);
-    sendSocketError(socket, 'Unable to load chat history');
+    log.error('Failed to send channel history', err);
+    sendSocketError(socket, 'Unable to load chat history', ERROR_CODES.UNAVAILABLE);
   }
 };
 
-const onUserJoin = (socket, channelId, username) => {
+// The member is added before anything else, so a join that finds the channel
+// full across the cluster leaves no trace
+const onUserJoin = async (socket, channelId, username, membership, maxUsers) => {
   const sockets = getSocketsForChannel(channelId);
   if (!sockets) {
     return;
   }
 
-  socket.channelId = channelId;
   socket.username = username;
+  if (!(await addChannelMember(socket, channelId, maxUsers))) {
+    throw new ProtocolError(ERROR_CODES.CHANNEL_FULL, 'Channel has reached the maximum number of users');
+  }
 
+  socket.channels.set(channelId, membership);
   sockets.push(socket);
+  publishPresenceConnection(socket);
   broadcastUserJoin(channelId, username, socket.userId || null);
-  sendChannelUsers(socket, channelId);
-  flushBufferedSignals(socket);
+  await sendChannelUsers(socket, channelId);
+  await flushBufferedSignals(socket, channelId);
 };
 
-const onDisconnect = (socket) => {
-  const { channelId, username, userId } = socket;
-  detachUserProfileWatcher(socket);
-  if (!channelId) {
+const onUserLeave = (socket, channelId) => {
+  if (!socket.channels.delete(channelId)) {
+    return false;
+  }
+
+  removeSocketFromChannel(socket, channelId);
+  endCallsOfConnection(socket, channelId);
+  leaveRoomCallsOfConnection(socket, [channelId]);
+  publishPresenceConnection(socket);
+  if (socket.username) {
+    broadcastUserLeave(channelId, socket.username, socket.userId);
+  }
+  return true;
+};
+
+const sendChannelLeft = (socket, channelId, reason) => {
+  if (socket.readyState !== WebSocket.OPEN) {
     return;
   }
 
+  socket.send(JSON.stringify({
+    type: 'channel-left',
+    channelId,
+    reason
+  }));
+};
+
+// Messages must name their channel once a socket has joined several
+const resolveChannelId = (socket, msg) => {
+  if (msg.channelId) {
+    return msg.channelId;
+  }
+
+  if (socket.channels.size === 1) {
+    return socket.channels.keys().next().value;
+  }
+
+  return undefined;
+};
+
+const removeSocketFromChannel = (socket, channelId) => {
   const sockets = socketsPerChannel.get(channelId);
   if (!sockets) {
-    return;
+    return false;
   }
 
   const index = sockets.indexOf(socket);
@@ -189,11 +638,121 @@ const onDisconnect = (socket) => {
     socketsPerChannel.delete(channelId);
   }
 
+  broker.removeMember(channelId, socket.connectionId).catch((err) => {
+    log.error('Failed to remove channel member', err);
+  });
+  return true;
+};
+
+const onDisconnect = (socket) => {
+  const { username, userId } = socket;
+  detachUserProfileWatcher(socket);
+  const channelIds = Array.from(socket.channels.keys());
+  if (channelIds.length === 0) {
+    removePresenceConnection(socket, []);
+    return;
+  }
+
+  channelIds.forEach((channelId) => {
+    removeSocketFromChannel(socket, channelId);
+  });
+  endCallsOfConnection(socket);
+  leaveRoomCallsOfConnection(socket, channelIds);
+
+  // Hold back user-left and offline while the session can still be resumed
+  if (holdResumableSession(socket)) {
+    return;
+  }
+
+  removePresenceConnection(socket, channelIds);
+
+  if (username) {
+    channelIds.forEach((channelId) => {
+      broadcastUserLeave(channelId, username, userId)
+    });
+  }
+};
+
+// One resume token covers every channel the socket has joined
+const issueResumeSession = (socket) => {
+  if (!socket.resumeToken) {
+    socket.resumeToken = crypto.randomBytes(24).toString('base64url');
+    resumableSessions.set(socket.resumeToken, {
+      socket,
+      expiryTimer: null
+    });
+  }
+
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({
+      type: 'session',
+      userId: socket.userId,
+      resumeToken: socket.resumeToken,
+      resumeGraceMs: RESUME_GRACE_MS,
+      channelIds: Array.from(socket.channels.keys())
+    }));
+  }
+};
+
+const revokeResumeSession = (socket) => {
+  if (!socket.resumeToken) {
+    return;
+  }
+
+  const session = resumableSessions.get(socket.resumeToken);
+  if (session && session.expiryTimer) {
+    clearTimeout(session.expiryTimer);
+  }
+  resumableSessions.delete(socket.resumeToken);
+  socket.resumeToken = null;
+};
+
+const holdResumableSession = (socket) => {
+  const session = socket.resumeToken && resumableSessions.get(socket.resumeToken);
+  if (!session || session.socket !== socket) {
+    return false;
+  }
+
+  session.expiryTimer = setTimeout(() => {
+    expireResumeSession(socket.resumeToken);
+  }, RESUME_GRACE_MS);
+  return true;
+};
+
+const expireResumeSession = (resumeToken) => {
+  const session = resumableSessions.get(resumeToken);
+  if (!session) {
+    return;
+  }
+
+  if (session.expiryTimer) {
+    clearTimeout(session.expiryTimer);
+  }
+  resumableSessions.delete(resumeToken);
+
+  const { channels, username, userId } = session.socket;
+  session.socket.resumeToken = null;
+  removePresenceConnection(session.socket, Array.from(channels.keys()));
   if (username) {
-    broadcastUserLeave(channelId, username, userId)
+    channels.forEach((membership, channelId) => {
+      broadcastUserLeave(channelId, username, userId);
+    });
   }
 };
 
+// A fresh join supersedes the channel in any session of the same user still
+// waiting in its grace window
+const releaseHeldChannelForUser = (channelId, userId) => {
+  resumableSessions.forEach((session) => {
+    const held = session.socket;
+    if (session.expiryTimer && held.userId === userId && held.channels.delete(channelId)) {
+      if (held.username) {
+        broadcastUserLeave(channelId, held.username, userId);
+      }
+    }
+  });
+};
+
 const findChannelMember = (channelDef, userId) => {
   if (!channelDef || !Array.isArray(channelDef.members)) {
     return undefined;
@@ -202,100 +761,111 @@ const findChannelMember = (channelDef, userId) => {
   return channelDef.members.find((member) => member.userId === userId);
 };
 
-const findSocketInChannel = (channelId, userId) => {
-  if (!channelId || !userId) {
-    return undefined;
-  }
+// Every capability check of socket handlers goes through these; see
+// permissions.js for the roles and their capabilities
+const getCapabilityContext = (socket, channelId) => ({
+  channelRole: socket.channels.get(channelId)?.channelRole,
+  isGlobalAdmin: Boolean(socket.isGlobalAdmin),
+  channelDef: dataAccess.getCachedChannel(channelId),
+  roleDefinitions: dataAccess.getRoleDefinitions()
+});
+
+const socketHasCapability = (socket, channelId, capability) =>
+  hasCapability(getCapabilityContext(socket, channelId), capability);
 
-  const sockets = socketsPerChannel.get(channelId) || [];
-  return sockets
-    .filter((entry) => entry.userId === userId)
-    .find((entry) => entry.readyState === WebSocket.OPEN);
+const assertSocketCapability = (socket, channelId, capability) => {
+  assertCapability(getCapabilityContext(socket, channelId), capability);
 };
 
-const bufferSignal = (channelId, targetUserId, payload) => {
-  const key = `${channelId}:${targetUserId}`;
-  if (!pendingSignals.has(key)) {
-    pendingSignals.set(key, []);
-  }
+// Looks the user up across all instances; resolves to a presence member
+const findMemberInChannel = (channelId, userId) => {
+  return broker.findMember(channelId, userId);
+};
 
-  const expiresAt = Date.now() + SIGNAL_BUFFER_TTL_MS;
-  pendingSignals.get(key).push({
-    payload,
-    expiresAt
-  });
+const bufferSignal = (channelId, targetUserId, payload) => {
+  signalsBufferedCounter.inc();
+  return broker.bufferSignal(channelId, targetUserId, payload, SIGNAL_BUFFER_TTL_MS);
 };
 
-const flushBufferedSignals = (socket) => {
-  if (!socket.channelId || !socket.userId) {
+const flushBufferedSignals = async (socket, channelId) => {
+  if (!channelId || !socket.userId) {
     return;
   }
 
-  const key = `${socket.channelId}:${socket.userId}`;
-  const buffered = pendingSignals.get(key);
-  if (!buffered || buffered.length === 0) {
-    return;
+  const { signals, expiredCount } = await broker.takeBufferedSignals(channelId, socket.userId);
+  if (expiredCount > 0) {
+    signalsExpiredCounter.inc({}, expiredCount);
+    log.info('Discarded expired buffered signals', { ...socketLogFields(socket), channelId, expiredCount });
   }
 
-  const now = Date.now();
-  const remaining = [];
-  buffered.forEach((entry) => {
-    if (entry.expiresAt < now) {
-      console.log('Discarded expired buffered signal for', socket.userId);
-      return;
-    }
+  signals.forEach((payload) => {
     if (socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(entry.payload));
-      console.log('Buffered signal sent to', socket.userId, 'in channel', socket.channelId);
+      socket.send(JSON.stringify(payload));
+      log.debug('Buffered signal sent', { ...socketLogFields(socket), channelId, signalType: payload.type });
     } else {
-      remaining.push(entry);
-      confirm.log('Socket not open, keeping buffered signal for', socket.userId);
+      bufferSignal(channelId, socket.userId, payload).catch((err) => {
+        log.error('Failed to buffer signal', err);
+      });
+      log.debug('Socket not open, keeping buffered signal', { ...socketLogFields(socket), channelId });
     }
   });
-
-  if (remaining.length === 0) {
-    pendingSignals.delete(key);
-  } else {
-    pendingSignals.set(key, remaining);
-  }
 };
 
-const forwardWebRTCSignal = (ws, msg) => {
-  const { channelId: msgChannelId, targetUserId } = msg;
+const forwardWebRTCSignal = async (ws, msg) => {
+  const { targetUserId } = msg;
 
-  // Determine the effective channel: from message or from socket
-  const channelId = msgChannelId || ws.channelId;
+  // Determine the effective channel: from message or from the only joined channel
+  const channelId = resolveChannelId(ws, msg);
   if (!channelId) {
-    sendSocketError(ws, 'WebRTC signaling missing channel context');
+    sendSocketError(ws, 'WebRTC signaling missing channel context', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  if (!ws.channelId || ws.channelId !== channelId) {
-    sendSocketError(ws, 'You can only signal within your current channel');
+  const membership = ws.channels.get(channelId);
+  if (!membership) {
+    sendSocketError(ws, 'You can only signal within channels you have joined', ERROR_CODES.NOT_JOINED);
     return;
   }
 
   // Must have some role to participate at all
-  if (!ws.channelRole) {
-    sendSocketError(ws, 'Join a channel with a valid role before using WebRTC');
+  if (!membership.channelRole) {
+    sendSocketError(ws, 'Join a channel with a valid role before using WebRTC', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  // Answers and ICE candidates belong to a call the user was let into by
+  // call-accept or room-call-join; offers start one
+  if (msg.type === 'webrtc-offer') {
+    assertSocketCapability(ws, channelId, CAPABILITIES.START_CALL);
+  }
+
+  if (msg.type === 'webrtc-offer' && getMutedUntil(channelId, ws.userId)) {
+    sendSocketError(ws, 'You are muted in this channel', ERROR_CODES.MUTED);
     return;
   }
 
-  // Observers are allowed to ACCEPT (answer/ICE) but not INITIATE (offer)
-  if (ws.channelRole === 'observer' && msg.type === 'webrtc-offer') {
-    sendSocketError(ws, 'Observer role cannot initiate calls in this channel');
+  // Within a room call signals go to the target's participating connection
+  const roomPeers = await findRoomCallPeers(channelId, ws.connectionId, targetUserId);
+  if (
+    msg.type === 'webrtc-offer' &&
+    !roomPeers?.sender.canPublish &&
+    !(await isInActiveCall(channelId, ws.userId, targetUserId))
+  ) {
+    sendSocketError(ws, 'Offers can only be sent within an accepted call', ERROR_CODES.FORBIDDEN);
     return;
   }
 
   if (!targetUserId) {
-    sendSocketError(ws, 'WebRTC signaling missing target user');
+    sendSocketError(ws, 'WebRTC signaling missing target user', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  console.log(`Forwarding WebRTC ${msg.type} from ${ws.userId} to ${targetUserId} in channel ${channelId}`);
-  const targetSocket = findSocketInChannel(channelId, targetUserId);
-  if (!targetSocket) {
-    bufferSignal(channelId, targetUserId, {
+  log.debug('Forwarding WebRTC signal', { channelId, signalType: msg.type, targetUserId });
+  const targetMember = roomPeers
+    ? roomPeers.target
+    : await findMemberInChannel(channelId, targetUserId);
+  if (!targetMember) {
+    await bufferSignal(channelId, targetUserId, {
       type: msg.type,
       channelId,
       from: ws.username,
@@ -307,7 +877,7 @@ const forwardWebRTCSignal = (ws, msg) => {
       candidate: msg.candidate,
     });
     //sendSocketError(ws, 'Target user is reconnecting');
-    console.log('Target user is reconnecting. Buffered signal for', targetUserId);
+    log.info('Target user is reconnecting, buffered signal', { channelId, signalType: msg.type, targetUserId });
     return;
   }
 
@@ -330,37 +900,39 @@ const forwardWebRTCSignal = (ws, msg) => {
     payload.ice = candidate;
   }
 
-  targetSocket.send(JSON.stringify(payload));
+  await broker.sendToConnection(targetMember, payload);
 };
 
-const forwardCallSignal = (ws, msg) => {
-  const { channelId: msgChannelId, targetUserId } = msg;
+const forwardCallSignal = async (ws, msg) => {
+  const { targetUserId } = msg;
 
-  const channelId = msgChannelId || ws.channelId;
+  const channelId = resolveChannelId(ws, msg);
   if (!channelId) {
-    sendSocketError(ws, 'Call signaling missing channel context');
+    sendSocketError(ws, 'Call signaling missing channel context', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  if (!ws.channelId || ws.channelId !== channelId) {
-    sendSocketError(ws, 'You can only signal within your current channel');
+  if (!ws.channels.has(channelId)) {
+    sendSocketError(ws, 'You can only signal within channels you have joined', ERROR_CODES.NOT_JOINED);
     return;
   }
 
   if (!ws.userId) {
-    sendSocketError(ws, 'Call signaling requires an authenticated user');
+    sendSocketError(ws, 'Call signaling requires an authenticated user', ERROR_CODES.UNAUTHENTICATED);
     return;
   }
 
   if (!targetUserId) {
-    sendSocketError(ws, 'Call signaling missing target user');
+    sendSocketError(ws, 'Call signaling missing target user', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  console.log(`Forwarding call ${msg.type} from ${ws.userId} to ${targetUserId} in channel ${channelId}`);
-  const targetSocket = findSocketInChannel(channelId, targetUserId);
-  if (!targetSocket) {
-    bufferSignal(channelId, targetUserId, {
+  await applyCallSignal(ws, channelId, msg);
+
+  log.debug('Forwarding call signal', { channelId, signalType: msg.type, targetUserId });
+  const targetMember = await findMemberInChannel(channelId, targetUserId);
+  if (!targetMember) {
+    await bufferSignal(channelId, targetUserId, {
       type: msg.type,
       channelId,
       fromUserId: ws.userId,
@@ -369,7 +941,7 @@ const forwardCallSignal = (ws, msg) => {
       userId: ws.userId,
 
     });
-    sendSocketError(ws, 'Target user is reconnecting');
+    sendSocketError(ws, 'Target user is reconnecting', ERROR_CODES.TARGET_UNAVAILABLE);
     return;
   }
 
@@ -382,221 +954,1646 @@ const forwardCallSignal = (ws, msg) => {
     userId: ws.userId,
   };
 
-  targetSocket.send(JSON.stringify(payload));
+  await broker.sendToConnection(targetMember, payload);
 };
 
-const getChannelMaxUsers = (channelDef) => {
-  if (!channelDef || !channelDef.rules) {
-    return undefined;
-  }
+// Call state: ringing -> active -> ended, or ringing -> ended. Records live in
+// the broker so every instance sees the same calls; both parties get a
+// `call-state` message on each transition.
+const toCallState = (call) => ({
+  type: 'call-state',
+  callId: call.callId,
+  channelId: call.channelId,
+  state: call.state,
+  callerId: call.callerId,
+  caller: call.callerName,
+  calleeId: call.calleeId,
+  callee: call.calleeName,
+  media: call.media,
+  createdAt: call.createdAt,
+  answeredAt: call.answeredAt || null,
+  endedAt: call.endedAt || null,
+  endReason: call.endReason || null
+});
 
-  const raw = channelDef.rules.maxUsers;
-  if (typeof raw === 'number') {
-    return raw;
+const sendToChannelUsers = async (channelId, userIds, payload) => {
+  const members = await broker.listMembers(channelId);
+  await Promise.all(members
+    .filter((member) => userIds.includes(member.userId))
+    .map((member) => broker.sendToConnection(member, payload)));
+};
+
+const publishCallState = (call) => {
+  return sendToChannelUsers(call.channelId, [call.callerId, call.calleeId], toCallState(call));
+};
+
+const clearRingTimer = (callId) => {
+  const timer = ringTimers.get(callId);
+  if (timer) {
+    clearTimeout(timer);
+    ringTimers.delete(callId);
   }
+};
 
-  const parsed = Number(raw);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return parsed;
+// Call log entry; calls that were never answered, other than rejected ones,
+// count as missed by the callee
+const toCallRecord = (call) => {
+  let status = call.state;
+  if (call.state === 'ended') {
+    if (call.answeredAt) {
+      status = 'completed';
+    } else {
+      status = call.endReason === 'rejected' ? 'rejected' : 'missed';
+    }
   }
 
-  return undefined;
+  return {
+    callId: call.callId,
+    channelId: call.channelId,
+    callerId: call.callerId,
+    caller: call.callerName,
+    calleeId: call.calleeId,
+    callee: call.calleeName,
+    participantIds: [call.callerId, call.calleeId],
+    media: call.media,
+    status,
+    endReason: call.endReason || null,
+    createdAt: call.createdAt,
+    answeredAt: call.answeredAt || null,
+    endedAt: call.endedAt || null,
+    durationMs: call.answeredAt && call.endedAt ? call.endedAt - call.answeredAt : 0,
+    missedBy: status === 'missed' ? call.calleeId : null
+  };
 };
 
-function disconnectSocket(socket, reason) {
-  sendSocketError(socket, reason);
+const recordCall = async (call) => {
+  const record = toCallRecord(call);
   try {
-    if (
-      socket.readyState === WebSocket.OPEN ||
-      socket.readyState === WebSocket.CONNECTING
-    ) {
-      socket.close(1008, reason);
-    }
+    await dataAccess.saveCallRecord(call.channelId, record);
   } catch (err) {
-    console.error('Failed to close socket cleanly', err);
+    log.error('Failed to record call', err);
   }
-}
+  return record;
+};
 
-function enforceSocketChannelAccess(socket, overrideChannelDef) {
-  if (!socket.channelId || !socket.userId) {
-    return;
+const endCall = async (call, endReason) => {
+  clearRingTimer(call.callId);
+  const ended = {
+    ...call,
+    state: 'ended',
+    endedAt: Date.now(),
+    endReason
+  };
+  await broker.releaseCall(call);
+  await publishCallState(ended);
+  if (call.state === 'active') {
+    [call.callerId, call.calleeId].forEach((userId) => schedulePresenceRefresh(userId));
   }
+  log.info('Call ended', { callId: call.callId, channelId: call.channelId, endReason });
 
-  const channelDef = overrideChannelDef || firebaseAccess.getCachedChannel(socket.channelId);
-  if (!channelDef) {
-    return;
+  const record = await recordCall(ended);
+  if (record.missedBy) {
+    await sendToChannelUsers(call.channelId, [record.missedBy], {
+      type: 'missed-call',
+      call: record
+    });
   }
+  return ended;
+};
+
+const isInActiveCall = async (channelId, userId, otherUserId) => {
+  const call = await broker.fetchUserCall(userId);
+  return Boolean(call) &&
+    call.state === 'active' &&
+    call.channelId === channelId &&
+    [call.callerId, call.calleeId].includes(otherUserId);
+};
 
-  const channelMember = findChannelMember(channelDef, socket.userId);
-  if (channelMember?.isBlocked && !socket.isGlobalAdmin) {
-    disconnectSocket(socket, 'You are blocked from this channel');
+// Ends the calls this connection placed or answered, e.g. on disconnect or
+// when it leaves the call's channel
+const endCallsOfConnection = (socket, channelId) => {
+  if (!socket.userId) {
     return;
   }
 
-  const isAllowed =
-    Boolean(channelDef.isPublic) ||
-    Boolean(channelMember) ||
-    Boolean(socket.isGlobalAdmin);
-  if (!isAllowed) {
-    disconnectSocket(socket, 'You are not allowed to participate in this channel');
-    return;
+  broker.fetchUserCall(socket.userId)
+    .then((call) => {
+      const ownsCall = call &&
+        (!channelId || call.channelId === channelId) &&
+        [call.callerConnectionId, call.calleeConnectionId].includes(socket.connectionId);
+      return ownsCall ? endCall(call, 'disconnected') : undefined;
+    })
+    .catch((err) => {
+      log.error('Failed to end call of disconnected socket', err);
+    });
+};
+
+const handleCallInvite = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Call invite missing channel context');
   }
 
-  const nextRole = channelMember?.role || (socket.isGlobalAdmin ? 'admin' : 'staff');
-  socket.channelRole = nextRole;
-}
+  const membership = ws.channels.get(channelId);
+  if (!membership || !ws.userId) {
+    throw new ProtocolError(ERROR_CODES.NOT_JOINED, 'You can only call within channels you have joined');
+  }
 
-function enforceChannelPolicies() {
-  socketsPerChannel.forEach((clients, channelId) => {
-    const channelDef = firebaseAccess.getCachedChannel(channelId);
-    if (!channelDef) {
-      const orphans = clients.slice();
-      orphans.forEach((socket) => {
-        disconnectSocket(socket, 'Channel is no longer available');
-      });
-      socketsPerChannel.delete(channelId);
-      return;
-    }
+  assertSocketCapability(ws, channelId, CAPABILITIES.START_CALL);
 
-    const maxUsers = getChannelMaxUsers(channelDef);
-    if (maxUsers && clients.length > maxUsers) {
-      const overflowSockets = clients.slice(maxUsers);
-      overflowSockets.forEach((socket) => {
-        disconnectSocket(socket, 'Channel capacity updated, please try again later');
-      });
-    }
+  if (getMutedUntil(channelId, ws.userId)) {
+    throw new ProtocolError(ERROR_CODES.MUTED, 'You are muted in this channel');
+  }
 
-    const remainingClients = socketsPerChannel.get(channelId) || [];
+  const { targetUserId } = msg;
+  if (targetUserId === ws.userId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'You cannot call yourself');
+  }
+
+  if (dataAccess.getCachedChannel(channelId)?.isDirect) {
+    await assertDirectConversationOpen(channelId, ws.userId);
+  }
+
+  const targetMember = await findMemberInChannel(channelId, targetUserId);
+  if (!targetMember) {
+    throw new ProtocolError(ERROR_CODES.TARGET_UNAVAILABLE, 'User is not in this channel');
+  }
+
+  const call = {
+    callId: crypto.randomUUID(),
+    channelId,
+    state: 'ringing',
+    callerId: ws.userId,
+    callerName: ws.username,
+    callerConnectionId: ws.connectionId,
+    calleeId: targetUserId,
+    calleeName: targetMember.username,
+    calleeConnectionId: null,
+    media: msg.media || 'audio',
+    createdAt: Date.now()
+  };
+  if (!(await broker.claimCall(call, CALL_RING_TIMEOUT_MS * 2))) {
+    const ownCall = await broker.fetchUserCall(ws.userId);
+    throw new ProtocolError(
+      ERROR_CODES.BUSY,
+      ownCall ? 'You are already in a call' : 'User is in another call'
+    );
+  }
+
+  const ringTimer = setTimeout(() => {
+    ringTimers.delete(call.callId);
+    broker.fetchCall(call.callId)
+      .then((current) => (current && current.state === 'ringing' ? endCall(current, 'timeout') : undefined))
+      .catch((err) => {
+        log.error('Failed to time out call', err);
+      });
+  }, CALL_RING_TIMEOUT_MS);
+  ringTimer.unref();
+  ringTimers.set(call.callId, ringTimer);
+  await recordCall(call);
+
+  await sendToChannelUsers(channelId, [targetUserId], {
+    type: 'call-invite',
+    callId: call.callId,
+    channelId,
+    fromUserId: ws.userId,
+    from: ws.username,
+    media: call.media
+  });
+  await publishCallState(call);
+  log.info('Call invite sent', { callId: call.callId, channelId, targetUserId });
+};
+
+const handleCallAccept = async (ws, msg) => {
+  const call = await broker.fetchCall(msg.callId);
+  if (!call || call.calleeId !== ws.userId || !ws.channels.has(call.channelId)) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Call not found');
+  }
+
+  assertSocketCapability(ws, call.channelId, CAPABILITIES.ANSWER_CALL);
+
+  if (call.state !== 'ringing') {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Call is no longer ringing');
+  }
+
+  clearRingTimer(call.callId);
+  const accepted = await broker.updateCall(call.callId, {
+    state: 'active',
+    answeredAt: Date.now(),
+    calleeConnectionId: ws.connectionId
+  }, ACTIVE_CALL_TTL_MS);
+  if (!accepted) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Call not found');
+  }
+
+  await publishCallState(accepted);
+  await recordCall(accepted);
+  [accepted.callerId, accepted.calleeId].forEach((userId) => schedulePresenceRefresh(userId));
+};
+
+// Roles with view-all-calls see every call of the channel, others their own
+const handleCallHistoryRequest = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Call history request missing channelId');
+  }
+
+  const membership = ws.channels.get(channelId);
+  if (!membership) {
+    throw new ProtocolError(ERROR_CODES.NOT_JOINED, 'You can only request call history for channels you have joined');
+  }
+
+  const seesAllCalls = socketHasCapability(ws, channelId, CAPABILITIES.VIEW_ALL_CALLS);
+  let calls;
+  try {
+    calls = await dataAccess.fetchCallHistory(channelId, {
+      limit: HISTORY_PAGE_SIZE,
+      beforeTs: msg.beforeTs,
+      participantId: seesAllCalls || msg.missedOnly ? undefined : ws.userId,
+      missedBy: msg.missedOnly ? ws.userId : undefined
+    });
+  } catch (err) {
+    log.error('Failed to load call history', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to load call history');
+  }
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'call-history',
+      channelId,
+      calls
+    }));
+  }
+};
+
+// call-cancelled/rejected/ended end the sender's call with the target; the
+// signal itself is still relayed for older clients
+const applyCallSignal = async (ws, channelId, msg) => {
+  const call = msg.callId
+    ? await broker.fetchCall(msg.callId)
+    : await broker.fetchUserCall(ws.userId);
+  const involved = call &&
+    call.channelId === channelId &&
+    [call.callerId, call.calleeId].includes(ws.userId) &&
+    [call.callerId, call.calleeId].includes(msg.targetUserId);
+  if (!involved) {
+    return;
+  }
+
+  if (msg.type === 'call-ended' && call.state === 'active') {
+    await endCall(call, 'completed');
+  } else if (call.state === 'ringing') {
+    await endCall(call, call.callerId === ws.userId ? 'cancelled' : 'rejected');
+  }
+};
+
+// Room calls: a per-channel roster that members join and leave. Participants
+// connect as a mesh over the webrtc-* relay. For every new pair the server
+// names the side that sends the offer: a newcomer that can publish offers to
+// everyone already there, otherwise the publishing participants offer to it.
+// Observers and muted users join listen-only and never offer.
+const getRoomCallMaxParticipants = (channelDef) => {
+  const parsed = Number(channelDef?.rules?.maxCallParticipants);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return Math.min(parsed, MAX_ROOM_CALL_PARTICIPANTS);
+  }
+
+  return MAX_ROOM_CALL_PARTICIPANTS;
+};
+
+const toRoomCallParticipant = (participant) => ({
+  userId: participant.userId,
+  username: participant.username,
+  canPublish: participant.canPublish,
+  joinedAt: participant.joinedAt
+});
+
+// The sender's and the target's roster entries when both are in the room call
+const findRoomCallPeers = async (channelId, connectionId, targetUserId) => {
+  if (!targetUserId) {
+    return null;
+  }
+
+  const participants = await broker.listRoomCallParticipants(channelId);
+  const sender = participants.find((participant) => participant.connectionId === connectionId);
+  const target = participants.find((participant) => participant.userId === targetUserId);
+  return sender && target ? { sender, target } : null;
+};
+
+const handleRoomCallJoin = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Room call join missing channel context');
+  }
+
+  const membership = ws.channels.get(channelId);
+  if (!membership || !membership.channelRole || !ws.userId) {
+    throw new ProtocolError(ERROR_CODES.NOT_JOINED, 'You can only join room calls of channels you have joined');
+  }
+  assertSocketCapability(ws, channelId, CAPABILITIES.ANSWER_CALL);
+
+  const participants = await broker.listRoomCallParticipants(channelId);
+  if (participants.some((participant) => participant.userId === ws.userId)) {
+    throw new ProtocolError(ERROR_CODES.ALREADY_JOINED, 'You are already in this room call');
+  }
+
+  if (await broker.fetchUserCall(ws.userId)) {
+    throw new ProtocolError(ERROR_CODES.BUSY, 'You are already in a call');
+  }
+
+  const participant = {
+    connectionId: ws.connectionId,
+    userId: ws.userId,
+    username: ws.username,
+    canPublish: socketHasCapability(ws, channelId, CAPABILITIES.START_CALL) && !getMutedUntil(channelId, ws.userId),
+    joinedAt: Date.now()
+  };
+  const maxParticipants = getRoomCallMaxParticipants(dataAccess.getCachedChannel(channelId));
+  if (!(await broker.addRoomCallParticipant(channelId, participant, maxParticipants, ACTIVE_CALL_TTL_MS))) {
+    throw new ProtocolError(
+      ERROR_CODES.CHANNEL_FULL,
+      `This room call is limited to ${maxParticipants} participants`
+    );
+  }
+
+  const offerers = participant.canPublish
+    ? [ws.userId]
+    : participants.filter((entry) => entry.canPublish).map((entry) => entry.userId);
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'room-call-roster',
+      channelId,
+      participant: toRoomCallParticipant(participant),
+      participants: participants.map(toRoomCallParticipant),
+      offerTo: participant.canPublish ? participants.map((entry) => entry.userId) : [],
+      maxParticipants
+    }));
+  }
+
+  await broker.publishToChannel(channelId, {
+    type: 'room-call-joined',
+    channelId,
+    participant: toRoomCallParticipant(participant),
+    offerers,
+    participantCount: participants.length + 1
+  });
+  schedulePresenceRefresh(ws.userId);
+  log.info('User joined room call', { channelId });
+};
+
+const leaveRoomCall = async (socket, channelId, reason) => {
+  const participant = await broker.removeRoomCallParticipant(channelId, socket.connectionId);
+  if (!participant) {
+    return false;
+  }
+
+  await broker.publishToChannel(channelId, {
+    type: 'room-call-left',
+    channelId,
+    userId: participant.userId,
+    username: participant.username,
+    reason
+  });
+  schedulePresenceRefresh(participant.userId, { channelIds: [channelId] });
+  log.info('User left room call', {
+    connectionId: participant.connectionId,
+    userId: participant.userId,
+    channelId,
+    reason
+  });
+  return true;
+};
+
+const handleRoomCallLeave = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Room call leave missing channel context');
+  }
+
+  if (!(await leaveRoomCall(ws, channelId, 'left'))) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'You are not in this room call');
+  }
+};
+
+const leaveRoomCallsOfConnection = (socket, channelIds) => {
+  channelIds.forEach((channelId) => {
+    leaveRoomCall(socket, channelId, 'disconnected').catch((err) => {
+      log.error('Failed to leave room call of disconnected socket', err);
+    });
+  });
+};
+
+const getChannelMaxUsers = (channelDef) => {
+  if (!channelDef || !channelDef.rules) {
+    return undefined;
+  }
+
+  const raw = channelDef.rules.maxUsers;
+  if (typeof raw === 'number') {
+    return raw;
+  }
+
+  const parsed = Number(raw);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+
+  return undefined;
+};
+
+// Days to keep messages for, from `rules.retentionDays`; undefined keeps them
+const getChannelRetentionDays = (channelDef) => {
+  const days = Number(channelDef?.rules?.retentionDays);
+  return Number.isFinite(days) && days > 0 ? days : undefined;
+};
+
+const getChannelMaxTextLength = (channelDef) => {
+  const parsed = Number(channelDef?.rules?.maxMessageLength);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return Math.min(parsed, MAX_CHAT_TEXT_LENGTH);
+  }
+
+  return MAX_CHAT_TEXT_LENGTH;
+};
+
+// Returns when the user's mute in the channel ends, or 0 if not muted
+const getMutedUntil = (channelId, userId) => {
+  const channelMember = findChannelMember(dataAccess.getCachedChannel(channelId), userId);
+  const mutedUntil = Number(channelMember?.mutedUntil) || 0;
+  return mutedUntil > Date.now() ? mutedUntil : 0;
+};
+
+const isChatTextTooLong = (channelId, text) => {
+  const maxLength = getChannelMaxTextLength(dataAccess.getCachedChannel(channelId));
+  return typeof text === 'string' && text.length > maxLength;
+};
+
+function disconnectSocket(socket, reason, code) {
+  // Server-initiated disconnects are final and must not be resumed
+  revokeResumeSession(socket);
+  sendSocketError(socket, reason, code);
+  try {
+    if (
+      socket.readyState === WebSocket.OPEN ||
+      socket.readyState === WebSocket.CONNECTING
+    ) {
+      socket.close(1008, reason);
+    }
+  } catch (err) {
+    log.error('Failed to close socket cleanly', err);
+  }
+}
+
+// Removes the socket from one channel; a socket left without channels is closed
+function evictSocketFromChannel(socket, channelId, reason, code) {
+  if (!onUserLeave(socket, channelId)) {
+    return;
+  }
+
+  if (socket.channels.size === 0) {
+    disconnectSocket(socket, reason, code);
+    return;
+  }
+
+  sendSocketError(socket, reason, code);
+  sendChannelLeft(socket, channelId, reason);
+}
+
+function enforceSocketChannelAccess(socket, channelId, overrideChannelDef) {
+  const membership = socket.channels.get(channelId);
+  if (!membership || !socket.userId) {
+    return;
+  }
+
+  const channelDef = overrideChannelDef || dataAccess.getCachedChannel(channelId);
+  if (!channelDef) {
+    return;
+  }
+
+  const access = resolveChannelAccess(channelDef, socket.userId, socket.isGlobalAdmin);
+  if (access.code === ERROR_CODES.BLOCKED) {
+    evictSocketFromChannel(socket, channelId, 'You are blocked from this channel', ERROR_CODES.BLOCKED);
+    return;
+  }
+
+  if (!access.allowed) {
+    evictSocketFromChannel(socket, channelId, 'You are not allowed to participate in this channel', ERROR_CODES.FORBIDDEN);
+    return;
+  }
+
+  membership.channelRole = access.channelRole;
+}
+
+// Decides whether a user may take part in a channel and with which role;
+// shared by socket joins, live policy checks and the HTTP API
+function resolveChannelAccess(channelDef, userId, isGlobalAdmin) {
+  const channelMember = findChannelMember(channelDef, userId);
+  // Direct messages stay private, even to global admins
+  if (channelDef.isDirect && !channelMember) {
+    return { allowed: false, code: ERROR_CODES.FORBIDDEN };
+  }
+
+  if (channelMember?.isBlocked && !isGlobalAdmin) {
+    return { allowed: false, code: ERROR_CODES.BLOCKED };
+  }
+
+  if (!channelDef.isPublic && !channelMember && !isGlobalAdmin) {
+    return { allowed: false, code: ERROR_CODES.FORBIDDEN };
+  }
+
+  return {
+    allowed: true,
+    channelRole: channelMember?.role || DEFAULT_ROLE
+  };
+}
+
+// The latest joiners across the cluster are the ones over capacity; each
+// instance evicts those of them it holds
+async function evictOverflowSockets(channelId, maxUsers) {
+  const members = await broker.listMembers(channelId);
+  if (members.length <= maxUsers) {
+    return;
+  }
+
+  const overflowIds = new Set(members.slice(maxUsers).map((member) => member.connectionId));
+  const clients = socketsPerChannel.get(channelId) || [];
+  clients
+    .filter((socket) => overflowIds.has(socket.connectionId))
+    .forEach((socket) => {
+      evictSocketFromChannel(socket, channelId, 'Channel capacity updated, please try again later', ERROR_CODES.CHANNEL_FULL);
+    });
+}
+
+function enforceChannelPolicies() {
+  Array.from(socketsPerChannel.entries()).forEach(([channelId, clients]) => {
+    const channelDef = dataAccess.getCachedChannel(channelId);
+    if (!channelDef) {
+      const orphans = clients.slice();
+      orphans.forEach((socket) => {
+        evictSocketFromChannel(socket, channelId, 'Channel is no longer available', ERROR_CODES.NOT_FOUND);
+      });
+      socketsPerChannel.delete(channelId);
+      return;
+    }
+
+    const maxUsers = getChannelMaxUsers(channelDef);
+    if (maxUsers) {
+      evictOverflowSockets(channelId, maxUsers).catch((err) => {
+        log.error('Failed to enforce channel capacity', err);
+      });
+    }
+
+    const remainingClients = socketsPerChannel.get(channelId) || [];
     remainingClients.slice().forEach((socket) => {
-      enforceSocketChannelAccess(socket, channelDef);
+      enforceSocketChannelAccess(socket, channelId, channelDef);
     });
   });
 }
 
 const handleChannelJoin = async (socket, channelId, frbDecodedToken) => {
   const [channelDef, frbUserProfile] = await Promise.all([
-    firebaseAccess.fetchChannelDefinition(channelId),
-    firebaseAccess.fetchUserProfile(frbDecodedToken.uid)
+    dataAccess.fetchChannelDefinition(channelId),
+    loadUserProfile(frbDecodedToken.uid)
   ]);
 
   if (!channelDef) {
-    throw new Error('Channel not found');
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Channel not found');
+  }
+
+  if (socket.channels.has(channelId)) {
+    throw new ProtocolError(ERROR_CODES.ALREADY_JOINED, 'You have already joined this channel');
   }
 
   const frbGlobalAdmin = Boolean(frbUserProfile?.globalAdmin);
-  const channelMember = findChannelMember(channelDef, frbDecodedToken.uid);
+  const access = resolveChannelAccess(channelDef, frbDecodedToken.uid, frbGlobalAdmin);
+
+  if (access.code === ERROR_CODES.BLOCKED) {
+    throw new ProtocolError(ERROR_CODES.BLOCKED, 'You are blocked from this channel');
+  }
+
+  if (!access.allowed) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'You are not allowed to join this channel');
+  }
+
+  const joinCapabilityContext = {
+    channelRole: access.channelRole,
+    isGlobalAdmin: frbGlobalAdmin,
+    channelDef,
+    roleDefinitions: dataAccess.getRoleDefinitions()
+  };
+  if (hasCapability(joinCapabilityContext, CAPABILITIES.MODERATE)) {
+    await assertTokenNotRevoked(socket);
+  }
+
+  let channelName = channelDef.name || channelDef.id;
+  if (channelDef.isDirect) {
+    const otherProfile = await assertDirectConversationOpen(channelId, frbDecodedToken.uid);
+    channelName = otherProfile.name || getOtherParticipantId(channelId, frbDecodedToken.uid);
+  }
+
+  const username = resolveUsername(frbDecodedToken, frbUserProfile);
+
+  const membership = {
+    channelRole: access.channelRole,
+    channelInfo: {
+      id: channelDef.id,
+      name: channelName
+    }
+  };
+  socket.userProfile = frbUserProfile || undefined;
+  socket.isGlobalAdmin = frbGlobalAdmin;
+  attachUserProfileWatcher(socket, frbUserProfile || null);
+
+  releaseHeldChannelForUser(channelId, frbDecodedToken.uid);
+  await onUserJoin(socket, channelId, username, membership, getChannelMaxUsers(channelDef));
+  issueResumeSession(socket);
+  if (!hasCapability(joinCapabilityContext, CAPABILITIES.READ_HISTORY)) {
+    sendChannelHistory(socket, channelId, []);
+    return;
+  }
+  sendRecentHistory(socket, channelId).catch((err) => {
+    log.error('Failed to send initial history', err);
+  });
+};
+
+const resolveUsername = (frbDecodedToken, frbUserProfile) =>
+  frbUserProfile?.name ||
+  frbDecodedToken.name ||
+  frbDecodedToken.email ||
+  frbDecodedToken.uid;
+
+const verifyUserIdToken = async (frbUserIdToken, checkRevoked = false) => {
+  try {
+    return await dataAccess.verifyIdToken(frbUserIdToken, checkRevoked);
+  } catch (err) {
+    log.error('ID token verification failed', err);
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Invalid or expired ID token');
+  }
+};
+
+// Requests that need a profile fail rather than go on as if it were empty,
+// which would drop block lists and global admin rights
+const loadUserProfile = async (userId) => {
+  try {
+    return await dataAccess.fetchUserProfile(userId);
+  } catch (err) {
+    log.error('Failed to fetch user profile', { userId, err });
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to load user profile');
+  }
+};
+
+// The socket keeps its latest token so it can be checked for revocation
+// later; expiry comes from the token's `exp` claim
+const setSocketToken = (socket, frbUserIdToken, frbDecodedToken, checkedRevoked = false) => {
+  socket.frbIdToken = frbUserIdToken;
+  socket.frbClaims = frbDecodedToken;
+  socket.tokenExpiresAt = Number.isFinite(frbDecodedToken?.exp) ? frbDecodedToken.exp * 1000 : null;
+  socket.tokenExpiryWarned = false;
+  socket.revocationCheckedAt = checkedRevoked ? Date.now() : 0;
+};
+
+const hasTokenExpired = (socket) =>
+  Boolean(socket.tokenExpiresAt) && socket.tokenExpiresAt <= Date.now();
+
+const isPrivilegedSocket = (socket) =>
+  Boolean(socket.isGlobalAdmin) ||
+  Array.from(socket.channels.keys()).some((channelId) =>
+    socketHasCapability(socket, channelId, CAPABILITIES.MODERATE)
+  );
+
+// Admins are checked for revoked tokens and disabled accounts, at most once
+// per REVOCATION_CHECK_INTERVAL_MS
+const assertTokenNotRevoked = async (socket) => {
+  if (!socket.frbIdToken || Date.now() - socket.revocationCheckedAt < REVOCATION_CHECK_INTERVAL_MS) {
+    return;
+  }
+
+  socket.revocationCheckedAt = Date.now();
+  await verifyUserIdToken(socket.frbIdToken, true);
+};
+
+// Error codes of Firebase Auth (and the local provider) that mean the user
+// must be signed out; anything else is treated as a failed check
+const REVOKED_TOKEN_ERROR_CODES = new Set(['auth/id-token-revoked', 'auth/user-disabled']);
+
+// Periodic revocation check of a connected admin. Only a revoked token or a
+// disabled account disconnects the socket; other failures (e.g. Firebase
+// being unreachable) are logged and the check is retried on the next tick
+const recheckTokenRevocation = async (socket) => {
+  if (!socket.frbIdToken || Date.now() - socket.revocationCheckedAt < REVOCATION_CHECK_INTERVAL_MS) {
+    return;
+  }
+
+  socket.revocationCheckedAt = Date.now();
+  try {
+    await dataAccess.verifyIdToken(socket.frbIdToken, true);
+  } catch (err) {
+    if (!REVOKED_TOKEN_ERROR_CODES.has(err.code)) {
+      socket.revocationCheckedAt = 0;
+      log.error('ID token revocation check failed, will retry', { ...socketLogFields(socket), err });
+      return;
+    }
+    log.warn('ID token was revoked, disconnecting', socketLogFields(socket));
+    disconnectSocket(socket, 'Your session has been revoked', ERROR_CODES.UNAUTHENTICATED);
+  }
+};
+
+const handleJoinMessage = async (ws, msg) => {
+  const channelId = msg.channelId;
+  if (!channelId) {
+    sendSocketError(ws, 'Join message missing channelId', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
 
-  if (channelMember?.isBlocked && !frbGlobalAdmin) {
-    throw new Error('You are blocked from this channel');
+  // Further joins on an authenticated socket may omit the token
+  const frbUserIdToken = msg.firebaseUserIdToken;
+  if (!frbUserIdToken && !ws.frbClaims) {
+    sendSocketError(ws, 'Join message missing firebaseUserIdToken', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  try {
+    const frbDecodedToken = frbUserIdToken
+      ? await verifyUserIdToken(frbUserIdToken)
+      : ws.frbClaims;
+    if (ws.userId && ws.userId !== frbDecodedToken.uid) {
+      throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Token belongs to a different user');
+    }
+    ws.userId = frbDecodedToken.uid;
+    if (frbUserIdToken) {
+      setSocketToken(ws, frbUserIdToken, frbDecodedToken);
+    }
+    await handleChannelJoin(ws, channelId, frbDecodedToken);
+    joinsCounter.inc();
+    log.info('User joined channel', { channelId });
+  } catch (err) {
+    log.error('Failed to complete join', err);
+    joinFailuresCounter.inc({
+      reason: err instanceof ProtocolError ? err.code : ERROR_CODES.INTERNAL
+    });
+    sendSocketError(
+      ws,
+      err.message || 'Join failed',
+      err instanceof ProtocolError ? err.code : ERROR_CODES.INTERNAL
+    );
+    if (ws.channels.size === 0) {
+      ws.close(1008, 'Join failed');
+    }
+  }
+};
+
+// Swaps in a fresh ID token without rejoining; it must belong to the same user
+const handleReauthMessage = async (ws, msg) => {
+  if (!ws.userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Join a channel before re-authenticating');
+  }
+
+  const checkRevoked = isPrivilegedSocket(ws);
+  const frbDecodedToken = await verifyUserIdToken(msg.firebaseUserIdToken, checkRevoked);
+  if (frbDecodedToken.uid !== ws.userId) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Token belongs to a different user');
+  }
+
+  setSocketToken(ws, msg.firebaseUserIdToken, frbDecodedToken, checkRevoked);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'reauthenticated',
+      expiresAt: ws.tokenExpiresAt
+    }));
+  }
+};
+
+const expireSocketToken = (ws) => {
+  log.info('ID token expired, disconnecting', socketLogFields(ws));
+  disconnectSocket(ws, 'ID token has expired, please join again', ERROR_CODES.UNAUTHENTICATED);
+};
+
+// Either user blocking the other closes their conversation; returns the other
+// user's profile
+const assertDirectConversationOpen = async (channelId, userId) => {
+  const otherUserId = getOtherParticipantId(channelId, userId);
+  if (otherUserId === userId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'You cannot message yourself');
+  }
+
+  const [profile, otherProfile] = await Promise.all([
+    loadUserProfile(userId),
+    loadUserProfile(otherUserId)
+  ]);
+  if (!otherProfile) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'User not found');
+  }
+
+  if (hasBlocked(profile, otherUserId) || hasBlocked(otherProfile, userId)) {
+    throw new ProtocolError(ERROR_CODES.BLOCKED, 'Direct messages with this user are blocked');
+  }
+  return otherProfile;
+};
+
+// Joins the conversation with targetUserId like `join` does for channels
+const handleOpenDirectMessage = async (ws, msg) => {
+  let userId = ws.userId;
+  if (!userId && msg.firebaseUserIdToken) {
+    userId = (await verifyUserIdToken(msg.firebaseUserIdToken)).uid;
+  }
+  if (!userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Open a direct message with firebaseUserIdToken or after joining a channel');
+  }
+
+  if (msg.targetUserId === userId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'You cannot message yourself');
+  }
+
+  const conversationId = getDirectConversationId(userId, msg.targetUserId);
+  if (!ws.channels.has(conversationId)) {
+    await handleJoinMessage(ws, {
+      ...msg,
+      channelId: conversationId
+    });
+  }
+
+  if (ws.channels.has(conversationId) && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'dm-opened',
+      channelId: conversationId,
+      userId: msg.targetUserId,
+      name: ws.channels.get(conversationId).channelInfo.name
+    }));
+  }
+};
+
+const handleDirectConversationsRequest = async (ws, msg) => {
+  if (!ws.userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Join a channel before listing direct messages');
+  }
+
+  let summaries;
+  try {
+    summaries = await dataAccess.fetchDirectConversations(ws.userId, {
+      limit: DM_CONVERSATIONS_PAGE_SIZE,
+      beforeTs: msg.beforeTs
+    });
+  } catch (err) {
+    log.error('Failed to load direct conversations', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to load direct messages');
+  }
+
+  const conversations = await Promise.all(summaries.map(async (summary) => {
+    const userId = getOtherParticipantId(summary.conversationId, ws.userId);
+    const profile = await loadUserProfile(userId);
+    return {
+      channelId: summary.conversationId,
+      userId,
+      name: profile?.name || userId,
+      lastMessage: summary.lastMessage,
+      lastMessageAt: summary.lastMessageAt,
+      unreadCount: Math.max((Number(summary.lastMessageSeq) || 0) - getLastReadSeq(ws, summary.conversationId), 0),
+      isBlocked: hasBlocked(ws.userProfile, userId)
+    };
+  }));
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'dm-conversations',
+      conversations
+    }));
+  }
+};
+
+const updateUserBlock = async (ws, msg, isBlocked) => {
+  if (!ws.userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Join a channel before blocking users');
+  }
+
+  if (msg.targetUserId === ws.userId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'You cannot block yourself');
+  }
+
+  await dataAccess.setUserBlocked(ws.userId, msg.targetUserId, isBlocked);
+  log.info(isBlocked ? 'User blocked user' : 'User unblocked user', { targetUserId: msg.targetUserId });
+};
+
+// The blocked user is removed from the conversation on every instance
+const handleBlockUserMessage = async (ws, msg) => {
+  await updateUserBlock(ws, msg, true);
+  const conversationId = getDirectConversationId(ws.userId, msg.targetUserId);
+  const members = await broker.listMembers(conversationId);
+  await Promise.all(members
+    .filter((member) => member.userId === msg.targetUserId)
+    .map((member) => broker.sendToConnection(member, {
+      type: 'kicked',
+      channelId: conversationId,
+      reason: 'This conversation is no longer available'
+    })));
+};
+
+const handleUnblockUserMessage = (ws, msg) => updateUserBlock(ws, msg, false);
+
+const handleLeaveMessage = (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'Leave message missing channelId', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  if (!onUserLeave(ws, channelId)) {
+    sendSocketError(ws, 'You have not joined this channel', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  sendChannelLeft(ws, channelId);
+  log.info('User left channel', { channelId });
+};
+
+const handleChatMessage = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'Chat message missing channel context', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  const membership = ws.channels.get(channelId);
+  if (!membership || !membership.channelRole) {
+    sendSocketError(ws, 'Join a channel before sending messages', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  await publishChatMessage(channelId, {
+    from: ws.username || 'Anonymous',
+    userId: ws.userId || null,
+    channelRole: membership.channelRole,
+    isGlobalAdmin: Boolean(ws.isGlobalAdmin)
+  }, msg);
+};
+
+// Checks, stores and broadcasts a chat message for a sender that may post to
+// the channel; failures are thrown as ProtocolErrors
+const publishChatMessage = async (channelId, sender, msg) => {
+  assertCapability({
+    channelRole: sender.channelRole,
+    isGlobalAdmin: Boolean(sender.isGlobalAdmin),
+    channelDef: dataAccess.getCachedChannel(channelId),
+    roleDefinitions: dataAccess.getRoleDefinitions()
+  }, CAPABILITIES.SEND_CHAT);
+
+  const mutedUntil = getMutedUntil(channelId, sender.userId);
+  if (mutedUntil) {
+    throw new ProtocolError(
+      ERROR_CODES.MUTED,
+      `You are muted in this channel until ${new Date(mutedUntil).toISOString()}`
+    );
+  }
+
+  if (isChatTextTooLong(channelId, msg.text)) {
+    throw new ProtocolError(ERROR_CODES.TOO_LARGE, 'Message text is too long');
+  }
+
+  const isDirect = Boolean(dataAccess.getCachedChannel(channelId)?.isDirect);
+  if (isDirect) {
+    await assertDirectConversationOpen(channelId, sender.userId);
+  }
+
+  // Replies to a reply join the thread of its root message
+  let parentId;
+  if (msg.parentId) {
+    const parent = await fetchLiveMessage(channelId, msg.parentId);
+    if (!parent) {
+      throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Parent message not found in this channel');
+    }
+    parentId = parent.parentId || parent.id;
+  }
+
+  let quote;
+  if (msg.quoteId) {
+    const quoted = await fetchLiveMessage(channelId, msg.quoteId);
+    if (!quoted) {
+      throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Quoted message not found in this channel');
+    }
+    quote = {
+      id: quoted.id,
+      from: quoted.from,
+      userId: quoted.userId || null,
+      text: quoted.text,
+      ts: quoted.ts
+    };
+  }
+
+  const attachments = await resolveMessageAttachments(channelId, sender, msg.attachmentIds);
+
+  let seq;
+  try {
+    seq = await dataAccess.nextMessageSeq(channelId);
+  } catch (err) {
+    log.error('Failed to allocate message sequence', err);
+    if (err.retryable) {
+      const busyErr = new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Channel is busy, please send the message again');
+      busyErr.retryAfterMs = SEQ_RETRY_AFTER_MS;
+      throw busyErr;
+    }
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to send message');
+  }
+
+  const payload = {
+    type: 'chat',
+    id: crypto.randomUUID(),
+    channelId,
+    seq,
+    from: sender.from,
+    userId: sender.userId,
+    text: msg.text || '',
+    ts: Date.now()
+  };
+  if (parentId) {
+    payload.parentId = parentId;
+  }
+  if (quote) {
+    payload.quote = quote;
+  }
+  if (attachments.length > 0) {
+    payload.attachments = attachments;
+  }
+
+  broadcastChatMessage(channelId, payload);
+  try {
+    await dataAccess.saveChatMessage(channelId, payload);
+  } catch (err) {
+    log.error('Failed to persist chat message', err);
+  }
+  if (isDirect) {
+    dataAccess.saveDirectConversationSummary(channelId, toConversationSummary(channelId, payload))
+      .catch((err) => {
+        log.error('Failed to update direct conversation summary', err);
+      });
+  }
+
+  if (parentId) {
+    try {
+      const parent = await dataAccess.recordThreadReply(channelId, parentId, payload.ts);
+      broadcastToChannel(channelId, {
+        type: 'thread-updated',
+        channelId,
+        messageId: parentId,
+        replyCount: parent.replyCount,
+        lastReplyAt: parent.lastReplyAt
+      });
+    } catch (err) {
+      log.error('Failed to update thread reply count', err);
+    }
+  }
+
+  return payload;
+};
+
+// Attachments must have been uploaded by the sender to the same channel
+const resolveMessageAttachments = async (channelId, sender, attachmentIds) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return [];
+  }
+
+  if (
+    !Array.isArray(attachmentIds) ||
+    attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE ||
+    attachmentIds.some((attachmentId) => typeof attachmentId !== 'string')
+  ) {
+    throw new ProtocolError(
+      ERROR_CODES.INVALID_MESSAGE,
+      `attachmentIds must be a list of at most ${MAX_ATTACHMENTS_PER_MESSAGE} ids`
+    );
+  }
+
+  let records;
+  try {
+    records = await Promise.all(
+      Array.from(new Set(attachmentIds)).map((attachmentId) => attachmentStore.fetchMetadata(attachmentId))
+    );
+  } catch (err) {
+    log.error('Failed to load attachment metadata', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to attach files');
+  }
+
+  if (records.some((metadata) =>
+    !metadata || metadata.channelId !== channelId || metadata.userId !== sender.userId
+  )) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Attachment not found');
+  }
+
+  return records.map(toAttachmentPayload);
+};
+
+// Issues a short-lived token for one HTTP upload; the file can then be sent
+// with a chat message through `attachmentIds`
+const handleUploadRequest = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'Upload request missing channel context', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  const membership = ws.channels.get(channelId);
+  if (!membership) {
+    sendSocketError(ws, 'Join a channel before uploading files', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  assertSocketCapability(ws, channelId, CAPABILITIES.UPLOAD_FILES);
+
+  if (getMutedUntil(channelId, ws.userId)) {
+    sendSocketError(ws, 'You are muted in this channel', ERROR_CODES.MUTED);
+    return;
+  }
+
+  try {
+    attachmentStore.checkConfiguration();
+  } catch (err) {
+    log.error('Attachment storage is not configured', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'File uploads are not available on this server');
+  }
+
+  const contentType = normalizeContentType(msg.contentType);
+  checkAttachmentRules(dataAccess.getCachedChannel(channelId), { contentType, size: msg.size });
+
+  const attachmentId = crypto.randomUUID();
+  const expiresAt = Date.now() + UPLOAD_TOKEN_TTL_MS;
+  const uploadToken = createUploadToken({
+    attachmentId,
+    channelId,
+    userId: ws.userId,
+    fileName: sanitizeFileName(msg.fileName),
+    contentType,
+    size: msg.size,
+    exp: expiresAt
+  });
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'upload-ready',
+      channelId,
+      attachmentId,
+      uploadUrl: `/api/uploads/${uploadToken}`,
+      expiresAt
+    }));
+  }
+};
+
+const fetchLiveMessage = async (channelId, messageId) => {
+  if (typeof messageId !== 'string') {
+    return null;
+  }
+
+  const message = await dataAccess.fetchChatMessage(channelId, messageId);
+  return message && !message.deleted ? message : null;
+};
+
+// Resolves the message targeted by chat-edit/chat-delete; only its author or
+// a channel admin may change it
+const resolveEditableMessage = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'Message change missing channel context', ERROR_CODES.INVALID_MESSAGE);
+    return null;
+  }
+
+  const membership = ws.channels.get(channelId);
+  if (!membership) {
+    sendSocketError(ws, 'Join a channel before changing messages', ERROR_CODES.NOT_JOINED);
+    return null;
+  }
+
+  if (!msg.messageId) {
+    sendSocketError(ws, 'Message change missing messageId', ERROR_CODES.INVALID_MESSAGE);
+    return null;
+  }
+
+  const message = await dataAccess.fetchChatMessage(channelId, msg.messageId);
+  if (!message || message.deleted) {
+    sendSocketError(ws, 'Message not found', ERROR_CODES.NOT_FOUND);
+    return null;
+  }
+
+  const isAuthor = Boolean(message.userId) && message.userId === ws.userId;
+  if (!isAuthor && !socketHasCapability(ws, channelId, CAPABILITIES.MANAGE_MESSAGES)) {
+    sendSocketError(ws, 'You can only change your own messages', ERROR_CODES.FORBIDDEN);
+    return null;
+  }
+
+  return { channelId, message };
+};
+
+const handleChatEditMessage = async (ws, msg) => {
+  if (typeof msg.text !== 'string' || !msg.text) {
+    sendSocketError(ws, 'Message edit missing text', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  const target = await resolveEditableMessage(ws, msg);
+  if (!target) {
+    return;
+  }
+
+  const { channelId, message } = target;
+  if (isChatTextTooLong(channelId, msg.text)) {
+    sendSocketError(ws, 'Message text is too long', ERROR_CODES.TOO_LARGE);
+    return;
+  }
+
+  const edited = await dataAccess.editChatMessage(channelId, message.id, msg.text, ws.userId);
+  broadcastToChannel(channelId, {
+    type: 'chat-edited',
+    channelId,
+    messageId: message.id,
+    text: edited.text,
+    editedAt: edited.editedAt,
+    editedBy: edited.editedBy
+  });
+};
+
+const handleChatDeleteMessage = async (ws, msg) => {
+  const target = await resolveEditableMessage(ws, msg);
+  if (!target) {
+    return;
+  }
+
+  const { channelId, message } = target;
+  const deleted = await dataAccess.deleteChatMessage(channelId, message.id, ws.userId);
+  broadcastToChannel(channelId, {
+    type: 'chat-deleted',
+    channelId,
+    messageId: message.id,
+    deletedAt: deleted.deletedAt,
+    deletedBy: deleted.deletedBy
+  });
+};
+
+const handleHistoryRequest = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'History request missing channelId', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  if (!ws.channels.has(channelId)) {
+    sendSocketError(ws, 'You can only request history for channels you have joined', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+  assertSocketCapability(ws, channelId, CAPABILITIES.READ_HISTORY);
+
+  // beforeId continues after the message with that ts and id, so messages
+  // sharing a timestamp are not skipped between pages
+  const before = typeof msg.beforeTs === 'number' ? { ts: msg.beforeTs, id: msg.beforeId } : undefined;
+  await sendRecentHistory(ws, channelId, before);
+};
+
+// Shared by the search-history message and the HTTP API; callers check
+// channel access first
+const searchChannelHistory = async (channelId, params) => {
+  const terms = parseQueryTerms(params.query);
+  if (terms.length === 0 && !params.authorId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Search needs a query or an authorId');
+  }
+
+  let before;
+  if (params.cursor !== undefined) {
+    before = decodeSearchCursor(params.cursor);
+    if (!before) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Invalid search cursor');
+    }
+  }
+
+  const limit = Math.min(Math.max(Math.floor(params.limit || SEARCH_PAGE_SIZE), 1), MAX_SEARCH_PAGE_SIZE);
+  let page;
+  try {
+    page = await dataAccess.searchMessages(channelId, {
+      terms,
+      userId: params.authorId,
+      fromTs: params.fromTs,
+      toTs: params.toTs,
+      before,
+      limit
+    });
+  } catch (err) {
+    log.error('Failed to search chat history', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to search chat history');
+  }
+
+  return {
+    channelId,
+    query: params.query || '',
+    results: page.messages.map((message) => ({
+      message,
+      highlights: findHighlights(message.text, terms)
+    })),
+    nextCursor: page.nextBefore === null ? null : encodeSearchCursor(page.nextBefore)
+  };
+};
+
+const handleSearchMessage = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    sendSocketError(ws, 'Search request missing channelId', ERROR_CODES.INVALID_MESSAGE);
+    return;
+  }
+
+  if (!ws.channels.has(channelId)) {
+    sendSocketError(ws, 'You can only search channels you have joined', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+  assertSocketCapability(ws, channelId, CAPABILITIES.READ_HISTORY);
+
+  const results = await searchChannelHistory(channelId, msg);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'search-results',
+      ...results
+    }));
+  }
+};
+
+const fetchMissedMessages = async (channelId, afterSeq) => {
+  const messages = [];
+  let cursor = afterSeq;
+  while (messages.length < REPLAY_MAX_MESSAGES) {
+    const page = await dataAccess.fetchMessagesAfterSeq(channelId, cursor, REPLAY_PAGE_SIZE);
+    messages.push(...page);
+    if (page.length < REPLAY_PAGE_SIZE) {
+      return { messages, truncated: false };
+    }
+    cursor = page[page.length - 1].seq;
+  }
+
+  return { messages: messages.slice(0, REPLAY_MAX_MESSAGES), truncated: true };
+};
+
+const getResumeAfterSeq = (msg, channelId) => {
+  const raw = msg.lastSeq && typeof msg.lastSeq === 'object'
+    ? msg.lastSeq[channelId]
+    : msg.lastSeq;
+  return Number(raw) || 0;
+};
+
+const replayMissedMessages = async (ws, channelId, afterSeq) => {
+  try {
+    const { messages, truncated } = await fetchMissedMessages(channelId, afterSeq);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'resumed',
+        channelId,
+        messages,
+        truncated
+      }));
+    }
+    log.info('User resumed channel', { channelId, afterSeq });
+  } catch (err) {
+    log.error('Failed to replay missed messages', err);
+    sendSocketError(ws, 'Unable to replay missed messages', ERROR_CODES.UNAVAILABLE);
+  }
+};
+
+const handleResumeMessage = async (ws, msg) => {
+  if (ws.channels.size > 0) {
+    sendSocketError(ws, 'Socket has already joined a channel', ERROR_CODES.ALREADY_JOINED);
+    return;
+  }
+
+  const session = msg.resumeToken && resumableSessions.get(msg.resumeToken);
+  if (!session) {
+    sendSocketError(ws, 'Session cannot be resumed, please join again', ERROR_CODES.SESSION_EXPIRED);
+    return;
+  }
+
+  const previous = session.socket;
+  if (hasTokenExpired(previous)) {
+    sendSocketError(ws, 'ID token has expired, please join again', ERROR_CODES.SESSION_EXPIRED);
+    return;
   }
 
-  if (!channelDef.isPublic && !channelMember && !frbGlobalAdmin) {
-    throw new Error('You are not allowed to join this channel');
+  const heldChannels = new Map(previous.channels);
+  if (session.expiryTimer) {
+    clearTimeout(session.expiryTimer);
+  } else {
+    // The old socket has not noticed the drop yet, take over from it quietly
+    heldChannels.forEach((membership, channelId) => {
+      removeSocketFromChannel(previous, channelId);
+    });
+    detachUserProfileWatcher(previous);
+    previous.channels.clear();
+    previous.close(4000, 'Session resumed elsewhere');
   }
+  resumableSessions.delete(msg.resumeToken);
+  previous.resumeToken = null;
+  // The new connection takes over; presence is announced once it is restored
+  await broker.removePresenceConnection(previous.userId, previous.connectionId);
+
+  ws.userId = previous.userId;
+  setSocketToken(ws, previous.frbIdToken, previous.frbClaims);
+  ws.username = previous.username;
+  ws.userProfile = previous.userProfile;
+  ws.isGlobalAdmin = previous.isGlobalAdmin;
+
+  for (const [channelId, membership] of heldChannels) {
+    const channelDef = dataAccess.getCachedChannel(channelId);
+    if (!channelDef || !(await addChannelMember(ws, channelId, getChannelMaxUsers(channelDef)))) {
+      if (previous.username) {
+        broadcastUserLeave(channelId, previous.username, previous.userId);
+      }
+      sendSocketError(ws, `Channel ${channelId} cannot be resumed, please join again`, ERROR_CODES.SESSION_EXPIRED);
+      continue;
+    }
 
-  const maxUsers = getChannelMaxUsers(channelDef);
-  const sockets = getSocketsForChannel(channelId) || [];
-  if (maxUsers && sockets.length >= maxUsers) {
-    throw new Error('Channel has reached the maximum number of users');
+    ws.channels.set(channelId, membership);
+    getSocketsForChannel(channelId).push(ws);
   }
 
-  const username =
-    frbUserProfile?.name ||
-    frbDecodedToken.name ||
-    frbDecodedToken.email ||
-    frbDecodedToken.uid;
-
-  const channelRole = channelMember?.role || (frbGlobalAdmin ? 'admin' : 'staff');
-
-  socket.channelRole = channelRole;
-  socket.channelInfo = {
-    id: channelDef.id,
-    name: channelDef.name || channelDef.id
-  };
-  socket.userProfile = frbUserProfile || undefined;
-  socket.isGlobalAdmin = frbGlobalAdmin;
-  attachUserProfileWatcher(socket, frbUserProfile || null);
+  publishPresenceConnection(ws);
+  if (ws.channels.size === 0) {
+    sendSocketError(ws, 'Session cannot be resumed, please join again', ERROR_CODES.SESSION_EXPIRED);
+    return;
+  }
 
-  onUserJoin(socket, channelId, username);
-  sendRecentHistory(socket, channelId).catch((err) => {
-    console.error('Failed to send initial history', err);
+  attachUserProfileWatcher(ws, previous.userProfile || null);
+  Array.from(ws.channels.keys()).forEach((channelId) => {
+    enforceSocketChannelAccess(ws, channelId);
   });
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  issueResumeSession(ws);
+  await Promise.all(Array.from(ws.channels.keys()).map(async (channelId) => {
+    await sendChannelUsers(ws, channelId);
+    await flushBufferedSignals(ws, channelId);
+    return replayMissedMessages(ws, channelId, getResumeAfterSeq(msg, channelId));
+  }));
 };
 
-const handleJoinMessage = async (ws, msg) => {
-  const channelId = msg.channelId;
+const handleThreadRequest = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
   if (!channelId) {
-    sendSocketError(ws, 'Join message missing channelId');
+    sendSocketError(ws, 'Thread request missing channelId', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  const frbUserIdToken = msg.firebaseUserIdToken;
-  if (!frbUserIdToken) {
-    sendSocketError(ws, 'Join message missing firebaseUserIdToken');
+  if (!ws.channels.has(channelId)) {
+    sendSocketError(ws, 'You can only request threads for channels you have joined', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+  assertSocketCapability(ws, channelId, CAPABILITIES.READ_HISTORY);
+
+  if (!msg.parentId) {
+    sendSocketError(ws, 'Thread request missing parentId', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
+  const beforeTs = typeof msg.beforeTs === 'number' ? msg.beforeTs : undefined;
   try {
-    const frbDecodedToken = await firebaseAccess.verifyIdToken(frbUserIdToken);
-    ws.userId = frbDecodedToken.uid;
-    ws.frbClaims = frbDecodedToken;
-    await handleChannelJoin(ws, channelId, frbDecodedToken);
-    console.log(`User ${ws.userId} joined channel ${channelId}`);
+    const messages = await dataAccess.fetchThreadMessages(
+      channelId,
+      msg.parentId,
+      HISTORY_PAGE_SIZE,
+      beforeTs
+    );
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'thread-history',
+        channelId,
+        parentId: msg.parentId,
+        messages
+      }));
+    }
   } catch (err) {
-    console.error('Failed to complete join', err);
-    sendSocketError(ws, err.message || 'Join failed');
-    if (!ws.channelId) {
-      ws.close(1008, 'Join failed');
+    log.error('Failed to send thread history', err);
+    sendSocketError(ws, 'Unable to load thread', ERROR_CODES.UNAVAILABLE);
+  }
+};
+
+// Ephemeral: relayed to the rest of the channel, never persisted
+const handleTypingMessage = (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId || !ws.channels.has(channelId)) {
+    sendSocketError(ws, 'Join a channel before sending typing updates', ERROR_CODES.NOT_JOINED);
+    return;
+  }
+
+  const isTyping = msg.isTyping !== false;
+  if (!ws.typingSentAt) {
+    ws.typingSentAt = new Map();
+  }
+
+  const now = Date.now();
+  if (isTyping) {
+    const lastSentAt = ws.typingSentAt.get(channelId) || 0;
+    if (now - lastSentAt < TYPING_MIN_INTERVAL_MS) {
+      return;
     }
+    ws.typingSentAt.set(channelId, now);
+  } else {
+    ws.typingSentAt.delete(channelId);
   }
+
+  broadcastToChannel(channelId, {
+    type: 'typing',
+    channelId,
+    userId: ws.userId,
+    username: ws.username,
+    isTyping
+  }, ws);
 };
 
-const handleChatMessage = async (ws, msg) => {
-  const channelId = ws.channelId || msg.channelId;
-  if (!channelId) {
-    sendSocketError(ws, 'Chat message missing channel context');
+const handleMarkReadMessage = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId || !ws.channels.has(channelId)) {
+    sendSocketError(ws, 'Join a channel before marking messages as read', ERROR_CODES.NOT_JOINED);
     return;
   }
 
-  if (!ws.channelRole) {
-    sendSocketError(ws, 'Join a channel before sending messages');
+  const requestedSeq = Number(msg.seq);
+  if (!Number.isInteger(requestedSeq) || requestedSeq < 0) {
+    sendSocketError(ws, 'Mark-read message requires a valid seq', ERROR_CODES.INVALID_MESSAGE);
     return;
   }
 
-  if (ws.channelRole === 'observer') {
-    sendSocketError(ws, 'Observer role cannot send messages');
+  // Read positions only move forward and never past the latest message
+  const latestSeq = await dataAccess.fetchLatestMessageSeq(channelId);
+  const seq = Math.min(requestedSeq, latestSeq);
+  if (seq <= getLastReadSeq(ws, channelId)) {
     return;
   }
 
-  const payload = {
-    type: 'chat',
-    channelId,
-    from: ws.username || 'Anonymous',
-    text: msg.text || '',
-    ts: Date.now()
+  const position = {
+    seq,
+    readAt: Date.now()
+  };
+  await dataAccess.saveReadPosition(ws.userId, channelId, position);
+  ws.userProfile = {
+    ...ws.userProfile,
+    readPositions: {
+      ...ws.userProfile?.readPositions,
+      [channelId]: position
+    }
   };
 
-  broadcastChatMessage(channelId, payload);
-  firebaseAccess.saveChatMessage(channelId, {
-    ...payload,
-    userId: ws.userId || null
+  const userSockets = (socketsPerChannel.get(channelId) || [])
+    .filter((socket) => socket.userId === ws.userId);
+  await Promise.all(userSockets.map((socket) =>
+    broker.updateMember(channelId, socket.connectionId, { lastReadSeq: seq })
+  ));
+
+  broadcastToChannel(channelId, {
+    type: 'read-position',
+    channelId,
+    userId: ws.userId,
+    seq
   });
 };
 
-const handleHistoryRequest = async (ws, msg) => {
-  const channelId = msg.channelId || ws.channelId;
-  if (!channelId) {
-    sendSocketError(ws, 'History request missing channelId');
-    return;
+// `online` clears a status picked earlier
+const handleSetStatusMessage = async (ws, msg) => {
+  if (!ws.userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Join a channel before setting a status');
   }
 
-  if (ws.channelId !== channelId) {
-    sendSocketError(ws, 'You can only request history for your current channel');
-    return;
+  if (!PRESENCE_STATUSES.includes(msg.status)) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Status must be one of ${PRESENCE_STATUSES.join(', ')}`);
   }
 
-  const beforeTs = typeof msg.beforeTs === 'number' ? msg.beforeTs : undefined;
-  await sendRecentHistory(ws, channelId, beforeTs);
+  await dataAccess.saveUserPresence(ws.userId, {
+    presenceStatus: msg.status === 'online' ? null : msg.status
+  });
+  await refreshUserPresence(ws.userId);
+};
+
+// Users without a live presence report their stored lastSeen as offline
+const handlePresenceRequest = async (ws, msg) => {
+  if (!ws.userId) {
+    throw new ProtocolError(ERROR_CODES.UNAUTHENTICATED, 'Join a channel before requesting presence');
+  }
+
+  const userIds = Array.from(new Set(msg.userIds.filter((userId) => typeof userId === 'string')));
+  if (userIds.length > MAX_PRESENCE_USERS) {
+    throw new ProtocolError(ERROR_CODES.TOO_LARGE, `At most ${MAX_PRESENCE_USERS} users can be requested at once`);
+  }
+
+  const presences = await fetchPresenceByUserId(userIds);
+  const users = await Promise.all(userIds.map(async (userId) => {
+    const presence = presences.get(userId);
+    if (presence && presence.status !== 'offline') {
+      return { userId, ...presence };
+    }
+
+    const profile = await loadUserProfile(userId);
+    return {
+      userId,
+      status: 'offline',
+      lastSeen: Number(profile?.lastSeen) || presence?.lastSeen || null
+    };
+  }));
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'presence-list',
+      users
+    }));
+  }
 };
 
 const handlePingMessage = (ws, msg) => {
@@ -611,65 +2608,611 @@ const handlePingMessage = (ws, msg) => {
   }));
 };
 
+// Checks that the sender may moderate the target in the channel and returns
+// the context the moderation actions work with
+const resolveModerationContext = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  if (!channelId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Moderation command missing channel context');
+  }
+
+  assertSocketCapability(ws, channelId, CAPABILITIES.MODERATE);
+
+  const { targetUserId } = msg;
+  if (targetUserId === ws.userId) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'You cannot moderate yourself');
+  }
+
+  const [channelDef, targetProfile, members] = await Promise.all([
+    dataAccess.fetchChannelDefinition(channelId),
+    loadUserProfile(targetUserId),
+    broker.listMembers(channelId)
+  ]);
+  if (!channelDef) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'Channel not found');
+  }
+
+  if (channelDef.isDirect) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Direct messages cannot be moderated; use block-user instead');
+  }
+
+  if (targetProfile?.globalAdmin) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Global admins cannot be moderated');
+  }
+
+  const targetCanModerate = hasCapability({
+    channelRole: findChannelMember(channelDef, targetUserId)?.role,
+    channelDef,
+    roleDefinitions: dataAccess.getRoleDefinitions()
+  }, CAPABILITIES.MODERATE);
+  if (targetCanModerate && !ws.isGlobalAdmin) {
+    throw new ProtocolError(ERROR_CODES.FORBIDDEN, 'Only global admins can moderate channel admins');
+  }
+
+  const targetMembers = members.filter((member) => member.userId === targetUserId);
+  return {
+    channelId,
+    targetUserId,
+    targetMembers,
+    targetUsername: targetMembers[0]?.username || targetProfile?.name || targetUserId
+  };
+};
+
+const updateModeratedMember = async (channelId, targetUserId, changes) => {
+  try {
+    await dataAccess.updateChannelMember(channelId, targetUserId, changes);
+  } catch (err) {
+    log.error('Failed to update channel member', err);
+    throw new ProtocolError(ERROR_CODES.UNAVAILABLE, 'Unable to update channel config');
+  }
+};
+
+const MODERATION_NOTICES = {
+  kick: 'was removed from the channel',
+  mute: 'was muted',
+  unmute: 'is no longer muted',
+  block: 'was blocked from the channel',
+  unblock: 'was unblocked'
+};
+
+const broadcastModerationNotice = (ws, context, msg, extra = {}) => {
+  broadcastToChannel(context.channelId, {
+    type: 'system-notice',
+    channelId: context.channelId,
+    action: msg.type,
+    targetUserId: context.targetUserId,
+    targetUsername: context.targetUsername,
+    by: ws.username,
+    byUserId: ws.userId,
+    reason: msg.reason || undefined,
+    text: `${context.targetUsername} ${MODERATION_NOTICES[msg.type]}`,
+    ts: Date.now(),
+    ...extra
+  });
+};
+
+const handleKickMessage = async (ws, msg) => {
+  const context = await resolveModerationContext(ws, msg);
+  if (context.targetMembers.length === 0) {
+    throw new ProtocolError(ERROR_CODES.NOT_FOUND, 'User is not in this channel');
+  }
+
+  broadcastModerationNotice(ws, context, msg);
+  const reason = msg.reason
+    ? `You were removed from the channel: ${msg.reason}`
+    : 'You were removed from the channel';
+  await Promise.all(context.targetMembers.map((member) =>
+    broker.sendToConnection(member, { type: 'kicked', channelId: context.channelId, reason })
+  ));
+  log.info('User kicked from channel', { channelId: context.channelId, targetUserId: context.targetUserId });
+};
+
+const handleMuteMessage = async (ws, msg) => {
+  const context = await resolveModerationContext(ws, msg);
+  const durationSeconds = Math.min(
+    Math.max(msg.durationSeconds || DEFAULT_MUTE_SECONDS, 1),
+    MAX_MUTE_SECONDS
+  );
+  const mutedUntil = Date.now() + durationSeconds * 1000;
+
+  await updateModeratedMember(context.channelId, context.targetUserId, { mutedUntil });
+  broadcastModerationNotice(ws, context, msg, { mutedUntil });
+  log.info('User muted in channel', {
+    channelId: context.channelId,
+    targetUserId: context.targetUserId,
+    durationSeconds
+  });
+};
+
+const handleUnmuteMessage = async (ws, msg) => {
+  const context = await resolveModerationContext(ws, msg);
+  await updateModeratedMember(context.channelId, context.targetUserId, { mutedUntil: null });
+  broadcastModerationNotice(ws, context, msg);
+};
+
+// Blocked sockets are evicted by enforceChannelPolicies once the channel
+// config changes
+const handleBlockMessage = async (ws, msg) => {
+  const context = await resolveModerationContext(ws, msg);
+  await updateModeratedMember(context.channelId, context.targetUserId, { isBlocked: true });
+  broadcastModerationNotice(ws, context, msg);
+  log.info('User blocked in channel', { channelId: context.channelId, targetUserId: context.targetUserId });
+};
+
+const handleUnblockMessage = async (ws, msg) => {
+  const context = await resolveModerationContext(ws, msg);
+  await updateModeratedMember(context.channelId, context.targetUserId, { isBlocked: null });
+  broadcastModerationNotice(ws, context, msg);
+};
+
 const MESSAGE_HANDLERS = {
   join: handleJoinMessage,
+  resume: handleResumeMessage,
+  reauth: handleReauthMessage,
+  leave: handleLeaveMessage,
   chat: handleChatMessage,
+  'chat-edit': handleChatEditMessage,
+  'chat-delete': handleChatDeleteMessage,
   'fetch-history': handleHistoryRequest,
+  'fetch-thread': handleThreadRequest,
+  'fetch-call-history': handleCallHistoryRequest,
+  'search-history': handleSearchMessage,
+  'request-upload': handleUploadRequest,
+  typing: handleTypingMessage,
+  'mark-read': handleMarkReadMessage,
   ping: handlePingMessage,
+  kick: handleKickMessage,
+  mute: handleMuteMessage,
+  unmute: handleUnmuteMessage,
+  block: handleBlockMessage,
+  unblock: handleUnblockMessage,
   'webrtc-offer': forwardWebRTCSignal,
   'webrtc-answer': forwardWebRTCSignal,
   'webrtc-ice': forwardWebRTCSignal,
+  'call-invite': handleCallInvite,
+  'open-dm': handleOpenDirectMessage,
+  'fetch-dm-conversations': handleDirectConversationsRequest,
+  'block-user': handleBlockUserMessage,
+  'unblock-user': handleUnblockUserMessage,
+  'set-status': handleSetStatusMessage,
+  'fetch-presence': handlePresenceRequest,
+  'room-call-join': handleRoomCallJoin,
+  'room-call-leave': handleRoomCallLeave,
+  'call-accept': handleCallAccept,
   'call-cancelled': forwardCallSignal,
   'call-rejected': forwardCallSignal,
   'call-ended': forwardCallSignal
 };
 
+// Warns on the first violation, then drops messages, and finally disconnects
+// sockets that keep flooding
+const applyFloodResponse = (ws, messageType, retryAfterMs) => {
+  const level = rateLimiter.recordViolation(ws);
+  if (level === 'disconnect') {
+    log.warn('Disconnecting socket for flooding', socketLogFields(ws));
+    disconnectSocket(ws, 'Disconnected for sending too many messages', ERROR_CODES.RATE_LIMITED);
+    return;
+  }
+
+  const request = failCurrentRequest(ws);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'rate-limited',
+      messageType,
+      retryAfterMs,
+      level,
+      requestId: request?.requestId
+    }));
+  }
+};
+
+// Arbitrary client-sent types would each add a metrics series and a rate
+// limit bucket
+const toMessageTypeLabel = (type) =>
+  Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, type) ? type : 'unknown';
+
+// Runs before validation so floods of invalid messages are limited too
+const enforceRateLimit = (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  const messageType = toMessageTypeLabel(msg.type);
+  const { channelRole, isGlobalAdmin, channelDef, roleDefinitions } = getCapabilityContext(ws, channelId);
+  const { allowed, retryAfterMs } = rateLimiter.consume({
+    subject: ws.userId || ws.connectionId,
+    messageType,
+    channelId,
+    role: channelRole,
+    channelDef,
+    isGlobalAdmin,
+    roleDefinitions
+  });
+
+  if (!allowed) {
+    applyFloodResponse(ws, messageType, retryAfterMs);
+  }
+  return allowed;
+};
+
 const dispatchIncomingMessage = async (ws, msg) => {
-  const handler = MESSAGE_HANDLERS[msg.type];
-  if (!handler) {
-    console.warn('Unknown message type', msg.type);
+  messagesCounter.inc({ type: toMessageTypeLabel(msg.type) });
+  if (!enforceRateLimit(ws, msg)) {
+    return;
+  }
+
+  const validationError = validateMessage(msg);
+  if (validationError) {
+    log.warn('Rejected invalid message', { reason: validationError.message });
+    sendSocketError(ws, validationError.message, validationError.code);
+    return;
+  }
+
+  if (msg.v !== undefined && msg.v !== ws.protocolVersion) {
+    sendSocketError(
+      ws,
+      `Message version ${msg.v} does not match negotiated version ${ws.protocolVersion}`,
+      ERROR_CODES.UNSUPPORTED_VERSION
+    );
+    return;
+  }
+
+  // Only a fresh token is accepted once the current one has lapsed
+  if (hasTokenExpired(ws) && msg.type !== 'reauth') {
+    expireSocketToken(ws);
+    return;
+  }
+
+  if (isShuttingDown && SESSION_REQUEST_TYPES.has(msg.type)) {
+    sendSocketError(ws, 'Server is shutting down, please reconnect', ERROR_CODES.UNAVAILABLE);
+    return;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(MESSAGE_HANDLERS, msg.type)) {
+    sendSocketError(ws, `Unknown message type "${msg.type}"`, ERROR_CODES.UNKNOWN_TYPE);
+    return;
+  }
+
+  await MESSAGE_HANDLERS[msg.type](ws, msg);
+};
+
+const sendAck = (ws, request) => {
+  if (ws.readyState !== WebSocket.OPEN) {
     return;
   }
 
-  await handler(ws, msg);
+  ws.send(JSON.stringify({
+    type: 'ack',
+    requestId: request.requestId,
+    requestType: request.type
+  }));
+};
+
+// Runs one request inside its context; protocol v2 acknowledges requests
+// that carry a requestId and completed without an error
+const handleIncomingRequest = async (ws, msg) => {
+  const channelId = resolveChannelId(ws, msg);
+  const request = {
+    socket: ws,
+    type: msg.type,
+    channelId: typeof channelId === 'string' ? channelId : undefined,
+    requestId: typeof msg.requestId === 'string' || Number.isInteger(msg.requestId)
+      ? msg.requestId
+      : undefined,
+    failed: false
+  };
+
+  inFlightRequests += 1;
+  const stopTimer = handlerDuration.startTimer({ type: toMessageTypeLabel(msg.type) });
+  await requestContext.run(request, async () => {
+    try {
+      await dispatchIncomingMessage(ws, msg);
+    } catch (err) {
+      log.error('Failed to process message', err);
+      if (err instanceof ProtocolError) {
+        sendSocketError(ws, err.message, err.code);
+      } else {
+        sendSocketError(ws, 'Unexpected server error', ERROR_CODES.INTERNAL);
+      }
+    } finally {
+      inFlightRequests -= 1;
+      stopTimer();
+    }
+  });
+
+  if (ws.protocolVersion >= 2 && request.requestId !== undefined && !request.failed) {
+    sendAck(ws, request);
+  }
 };
 
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+wss.on('connection', (ws, request) => {
+  ws.connectionId = crypto.randomUUID();
+  log.info('Client connected', { connectionId: ws.connectionId });
+  ws.channels = new Map();
+  ws.lastActiveAt = Date.now();
+  ws.isIdle = false;
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
 
-  /*ws.send(JSON.stringify({
-    type: 'system',
-    text: 'Welcome to the chat server!'
-  }));*/
+  ws.protocolVersion = negotiateProtocolVersion(ws.protocol, request.url);
+  if (!ws.protocolVersion) {
+    sendSocketError(ws, 'Unsupported protocol version', ERROR_CODES.UNSUPPORTED_VERSION);
+    ws.close(1002, 'Unsupported protocol version');
+    return;
+  }
+  socketsByConnectionId.set(ws.connectionId, ws);
+
+  if (ws.protocolVersion >= 2) {
+    ws.send(JSON.stringify({
+      type: 'welcome',
+      protocolVersion: ws.protocolVersion,
+      connectionId: ws.connectionId,
+      serverTs: Date.now()
+    }));
+  }
 
   ws.on('message', async (raw) => {
+    if (raw.length > MAX_MESSAGE_BYTES) {
+      rateLimiter.recordOversized();
+      sendSocketError(ws, 'Message is too large', ERROR_CODES.TOO_LARGE);
+      applyFloodResponse(ws, 'oversized', 0);
+      return;
+    }
+
+    ws.isAlive = true;
     let msg;
     try {
       msg = JSON.parse(raw.toString());
+      if (!msg || typeof msg !== 'object') {
+        throw new Error('Message must be a JSON object');
+      }
     } catch (e) {
-      console.error('Invalid JSON', e);
-      ws.send(JSON.stringify({
-        type: 'error',
-        text: 'Invalid JSON'
-      }));
+      log.error('Invalid JSON', e);
+      sendSocketError(ws, 'Invalid JSON', ERROR_CODES.INVALID_JSON);
       return;
     }
 
-    try {
-      await dispatchIncomingMessage(ws, msg);
-    } catch (err) {
-      console.error(`Failed to process message of type ${msg.type}`, err);
-      sendSocketError(ws, 'Unexpected server error');
+    // Client heartbeats do not keep a user from going away
+    if (msg.type !== 'ping') {
+      markSocketActive(ws);
     }
 
+    await handleIncomingRequest(ws, msg);
   });
 
   ws.on('close', () => {
+    socketsByConnectionId.delete(ws.connectionId);
     onDisconnect(ws);
-    console.log('Client disconnected.userId =', ws.userId);
+    log.info('Client disconnected', socketLogFields(ws));
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`WebSocket server listening on port ${PORT}`);
-});
+// A socket that has not answered the previous ping is half-open; terminating
+// it emits 'close', which runs onDisconnect and frees its channel slots
+const heartbeatTimer = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) {
+      log.info('Terminating unresponsive socket', socketLogFields(ws));
+      ws.terminate();
+      return;
+    }
+
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+heartbeatTimer.unref();
+
+// Warns sockets ahead of their token's expiry and disconnects them once it
+// has lapsed without a reauth; admins are also re-checked for revocation
+const tokenCheckTimer = setInterval(() => {
+  const now = Date.now();
+  wss.clients.forEach((ws) => {
+    if (ws.readyState !== WebSocket.OPEN || !ws.userId) {
+      return;
+    }
+
+    if (hasTokenExpired(ws)) {
+      expireSocketToken(ws);
+      return;
+    }
+
+    if (ws.tokenExpiresAt && !ws.tokenExpiryWarned && ws.tokenExpiresAt - now <= TOKEN_EXPIRY_WARNING_MS) {
+      ws.tokenExpiryWarned = true;
+      ws.send(JSON.stringify({
+        type: 'token-expiring',
+        expiresAt: ws.tokenExpiresAt,
+        expiresInMs: ws.tokenExpiresAt - now
+      }));
+    }
+
+    if (isPrivilegedSocket(ws)) {
+      recheckTokenRevocation(ws);
+    }
+  });
+}, TOKEN_CHECK_INTERVAL_MS);
+tokenCheckTimer.unref();
+
+// Deletes the messages of a channel older than its retention period, with
+// their attachments, in batches so one run never loads a whole channel
+const purgeChannelMessages = async (channelDef, retentionDays) => {
+  const cutoffTs = Date.now() - retentionDays * DAY_MS;
+  let purgedCount = 0;
+  let batch;
+  do {
+    batch = await dataAccess.purgeMessagesBefore(channelDef.id, cutoffTs, RETENTION_PURGE_BATCH_SIZE);
+    purgedCount += batch.length;
+    const attachmentIds = batch.flatMap((message) =>
+      (Array.isArray(message.attachments) ? message.attachments : []).map((attachment) => attachment.id)
+    );
+    await Promise.all(attachmentIds.map((attachmentId) =>
+      attachmentStore.delete(attachmentId).catch((err) => {
+        log.error('Failed to delete attachment of purged message', { attachmentId, err });
+      })
+    ));
+  } while (batch.length === RETENTION_PURGE_BATCH_SIZE && !isShuttingDown);
+
+  if (purgedCount > 0) {
+    messagesPurgedCounter.inc({}, purgedCount);
+    log.info('Purged expired messages', { channelId: channelDef.id, count: purgedCount, retentionDays });
+  }
+};
+
+// Every instance runs the purge; deleting an already deleted message is a no-op
+let retentionPurge = null;
+const runRetentionPurge = () => {
+  if (retentionPurge) {
+    return retentionPurge;
+  }
+
+  retentionPurge = (async () => {
+    for (const channelDef of dataAccess.getAllChannels()) {
+      const retentionDays = getChannelRetentionDays(channelDef);
+      if (!retentionDays || isShuttingDown) {
+        continue;
+      }
+
+      try {
+        await purgeChannelMessages(channelDef, retentionDays);
+      } catch (err) {
+        log.error('Failed to purge expired messages', { channelId: channelDef.id, err });
+      }
+    }
+  })().finally(() => {
+    retentionPurge = null;
+  });
+  return retentionPurge;
+};
+
+const retentionTimer = setInterval(runRetentionPurge, RETENTION_PURGE_INTERVAL_MS);
+retentionTimer.unref();
+
+const waitUntil = async (condition, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+// Stops taking new sessions, lets requests in progress finish, tells clients
+// to reconnect (to another instance) and closes their sockets. Sessions
+// cannot be resumed elsewhere, so they are ended here and onDisconnect
+// releases presence, calls and channel slots across the cluster. Pending
+// writes are flushed before it resolves.
+let stopPromise = null;
+const stopServer = () => {
+  if (!stopPromise) {
+    stopPromise = drainAndClose();
+  }
+  return stopPromise;
+};
+
+const drainAndClose = async () => {
+  isShuttingDown = true;
+  isServerReady = false;
+  clearInterval(heartbeatTimer);
+  clearInterval(tokenCheckTimer);
+  clearInterval(retentionTimer);
+  server.close();
+  await waitUntil(() => inFlightRequests === 0, SHUTDOWN_DRAIN_MS);
+  await retentionPurge;
+
+  Array.from(resumableSessions.keys()).forEach((resumeToken) => {
+    if (resumableSessions.get(resumeToken).expiryTimer) {
+      expireResumeSession(resumeToken);
+    }
+  });
+  wss.clients.forEach((ws) => {
+    revokeResumeSession(ws);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'server-shutdown',
+        text: 'Server is restarting, please reconnect',
+        reconnectAfterMs: Math.floor(Math.random() * SHUTDOWN_RECONNECT_JITTER_MS)
+      }));
+    }
+    ws.close(1012, 'Server restarting');
+  });
+  await waitUntil(() => wss.clients.size === 0, SHUTDOWN_CLOSE_MS);
+  wss.clients.forEach((ws) => ws.terminate());
+  await new Promise((resolve) => setTimeout(resolve, SHUTDOWN_SETTLE_MS));
+
+  await dataAccess.close();
+  await broker.stop();
+};
+
+// The process exits once the server stopped, at the latest after
+// SHUTDOWN_TIMEOUT_MS
+const shutdown = (signal) => {
+  if (isShuttingDown) {
+    return;
+  }
+  log.info('Shutting down', { signal });
+
+  const forceExitTimer = setTimeout(() => {
+    log.error('Shutdown deadline reached, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExitTimer.unref();
+
+  stopServer()
+    .then(() => {
+      log.info('Shutdown complete');
+      process.exit(0);
+    })
+    .catch((err) => {
+      log.error('Failed to shut down cleanly', err);
+      process.exit(1);
+    });
+};
+
+server.on('request', createHttpApi({
+  dataAccess,
+  broker,
+  rateLimiter,
+  verifyUserIdToken,
+  loadUserProfile,
+  resolveUsername,
+  resolveChannelAccess,
+  getChannelMaxUsers,
+  publishChatMessage,
+  searchChannelHistory,
+  attachmentStore,
+  metrics,
+  metricsToken: process.env.METRICS_TOKEN,
+  isReady: () => isServerReady,
+  maxBodyBytes: MAX_MESSAGE_BYTES,
+  historyPageSize: HISTORY_PAGE_SIZE
+}));
+
+// Connects the broker and starts listening; resolves to the bound port, so
+// tests can pass 0 and run the server in their own process
+const startServer = async (port = PORT) => {
+  await broker.start();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  isServerReady = true;
+  const boundPort = server.address().port;
+  log.info('WebSocket server listening', { port: boundPort });
+  return boundPort;
+};
+
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  startServer().catch((err) => {
+    log.error('Failed to start server', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startServer,
+  stopServer
+};
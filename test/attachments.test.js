@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUploadToken, verifyUploadToken } = require('../attachments');
+
+describe('upload tokens', () => {
+  const claims = { attachmentId: 'a1', channelId: 'ops', exp: Date.now() + 60000 };
+
+  it('accepts tokens signed by this server', () => {
+    assert.deepEqual(verifyUploadToken(createUploadToken(claims)), claims);
+  });
+
+  it('rejects forged, malformed and expired tokens', () => {
+    const [encoded, signature] = createUploadToken(claims).split('.');
+    assert.equal(verifyUploadToken(`${encoded}.${'é'.repeat(signature.length)}`), null);
+    assert.equal(verifyUploadToken(`${encoded}.${signature.slice(1)}`), null);
+    assert.equal(verifyUploadToken(encoded), null);
+    assert.equal(verifyUploadToken(createUploadToken({ ...claims, exp: Date.now() - 1 })), null);
+  });
+});
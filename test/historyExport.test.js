@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalAccess = require('../localAccess');
+const LocalTokenVerifier = require('../localTokenVerifier');
+const { iterateChannelHistory } = require('../historyExport');
+
+const collect = async (iterator) => {
+  const messages = [];
+  for await (const message of iterator) {
+    messages.push(message);
+  }
+  return messages;
+};
+
+describe('iterateChannelHistory', () => {
+  // 250 messages, five per millisecond, so pages end in the middle of a ts
+  const stored = Array.from({ length: 250 }, (_, n) => ({
+    id: `m${String(n).padStart(3, '0')}`,
+    ts: 1000 + Math.floor(n / 5),
+    text: `message ${n}`
+  }));
+  const access = new LocalAccess({
+    tokenVerifier: new LocalTokenVerifier('test-secret'),
+    initialData: { channelMessages: { ops: stored } }
+  });
+  const fetchRecentMessages = access.fetchRecentMessages.bind(access);
+
+  it('yields every message once across pages, newest first', async () => {
+    const messages = await collect(iterateChannelHistory(fetchRecentMessages, 'ops'));
+    assert.equal(messages.length, stored.length);
+    assert.deepEqual(messages.map((message) => message.id), stored.map((message) => message.id).reverse());
+  });
+
+  it('keeps both ends of the time range', async () => {
+    const messages = await collect(iterateChannelHistory(fetchRecentMessages, 'ops', { fromTs: 1010, toTs: 1030 }));
+    assert.equal(messages.length, 21 * 5);
+    assert.equal(messages[0].ts, 1030);
+    assert.equal(messages[messages.length - 1].ts, 1010);
+  });
+
+  it('throws storage errors instead of ending early', async () => {
+    let calls = 0;
+    const failing = async (...args) => {
+      calls += 1;
+      if (calls > 1) {
+        throw new Error('storage unavailable');
+      }
+      return fetchRecentMessages(...args);
+    };
+    await assert.rejects(collect(iterateChannelHistory(failing, 'ops')), /storage unavailable/);
+  });
+});
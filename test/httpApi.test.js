@@ -0,0 +1,138 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// The server reads its configuration when it is loaded, so the local
+// provider and its data file are set up first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcp-http-test-'));
+// 30 messages, four per millisecond, so history pages end in the middle of a ts
+const storedMessages = Array.from({ length: 30 }, (_, n) => ({
+  id: `m${String(n).padStart(2, '0')}`,
+  seq: n + 1,
+  ts: 1000 + Math.floor(n / 4),
+  userId: 'bob',
+  from: 'Bob',
+  text: `message ${n}`
+}));
+fs.writeFileSync(path.join(dataDir, 'data.json'), JSON.stringify({
+  channels: [
+    { id: 'ops', name: 'Ops', isPublic: true },
+    // Members without a role only read here
+    { id: 'announcements', name: 'Announcements', isPublic: true, rules: { roles: { staff: ['read-history'] } } },
+    // ...and here only write
+    { id: 'dropbox', name: 'Dropbox', isPublic: true, rules: { roles: { staff: ['send-chat', 'upload-files'] } } }
+  ],
+  users: { alice: { name: 'Alice' }, root: { name: 'Root', globalAdmin: true } },
+  channelMessages: { ops: storedMessages },
+  channelSequences: { ops: storedMessages.length }
+}));
+Object.assign(process.env, {
+  STORAGE_PROVIDER: 'local',
+  LOCAL_DATA_FILE: path.join(dataDir, 'data.json'),
+  LOCAL_AUTH_SECRET: 'test-secret',
+  ATTACHMENT_DIR: path.join(dataDir, 'attachments'),
+  LOG_LEVEL: 'error'
+});
+
+const { startServer, stopServer } = require('../server');
+const LocalTokenVerifier = require('../localTokenVerifier');
+const dataAccess = require('../dataAccess');
+const attachmentStore = require('../attachmentStorage');
+
+const verifier = new LocalTokenVerifier();
+
+describe('HTTP API', () => {
+  let baseUrl;
+
+  const requestJson = async (pathname, uid = 'alice', body) => {
+    const res = await fetch(`${baseUrl}${pathname}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        Authorization: `Bearer ${verifier.createToken({ uid })}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  before(async () => {
+    baseUrl = `http://localhost:${await startServer(0)}`;
+  });
+
+  after(async () => {
+    await stopServer();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('pages history across messages sharing a timestamp', async () => {
+    const ids = [];
+    let query = 'limit=7';
+    while (query) {
+      const { status, body } = await requestJson(`/api/channels/ops/messages?${query}`);
+      assert.equal(status, 200);
+      ids.push(...body.messages.map((message) => message.id));
+      query = body.nextBeforeTs === null
+        ? null
+        : `limit=7&beforeTs=${body.nextBeforeTs}&beforeId=${body.nextBeforeId}`;
+    }
+    assert.deepEqual(ids, storedMessages.map((message) => message.id).reverse());
+  });
+
+  it('lets global admins post where the default role is read-only', async () => {
+    const message = { text: 'hello' };
+    assert.equal((await requestJson('/api/channels/announcements/messages', 'alice', message)).status, 403);
+    assert.equal((await requestJson('/api/channels/announcements/messages', 'root', message)).status, 201);
+  });
+
+  it('fails with UNAVAILABLE when the user profile cannot be read', async (t) => {
+    t.mock.method(dataAccess, 'fetchUserProfile', async () => {
+      throw new Error('Profile store offline');
+    });
+    const { status, body } = await requestJson('/api/channels/ops/messages');
+    assert.equal(status, 503);
+    assert.equal(body.error.code, 'UNAVAILABLE');
+  });
+
+  it('serves attachments only to roles that read the channel history', async () => {
+    const content = Buffer.from('report');
+    await attachmentStore.save({
+      id: 'att-dropbox',
+      channelId: 'dropbox',
+      userId: 'bob',
+      fileName: 'report.txt',
+      contentType: 'text/plain',
+      size: content.length,
+      uploadedAt: Date.now()
+    }, Readable.from([content]));
+
+    const download = (uid) => fetch(`${baseUrl}/api/attachments/att-dropbox`, {
+      headers: { Authorization: `Bearer ${verifier.createToken({ uid })}` }
+    });
+    assert.equal((await download('alice')).status, 403);
+    const res = await download('root');
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'report');
+  });
+
+  it('asks for a retry when the message sequence is contended', async (t) => {
+    t.mock.method(dataAccess, 'nextMessageSeq', async () => {
+      throw Object.assign(new Error('10 ABORTED: Too much contention'), { code: 10, retryable: true });
+    });
+    const { status, headers, body } = await requestJson('/api/channels/ops/messages', 'alice', { text: 'hello' });
+    assert.equal(status, 503);
+    assert.equal(headers.get('retry-after'), '1');
+    assert.equal(body.error.code, 'UNAVAILABLE');
+  });
+
+  it('exports the rate limiter counters as metrics', async () => {
+    await requestJson('/api/channels/ops/messages?limit=1');
+    const text = await (await fetch(`${baseUrl}/metrics`)).text();
+    assert.match(text, /^# TYPE wcp_rate_limit_allowed_total counter$/m);
+    assert.ok(Number(/^wcp_rate_limit_allowed_total (\d+)$/m.exec(text)[1]) > 0);
+    assert.match(text, /^wcp_oversized_messages_total 0$/m);
+  });
+});
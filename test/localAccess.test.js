@@ -0,0 +1,62 @@
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalAccess = require('../localAccess');
+const LocalTokenVerifier = require('../localTokenVerifier');
+
+describe('LocalAccess data file', () => {
+  let dataDir;
+  let dataFile;
+  let access;
+
+  const readFile = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcp-local-access-test-'));
+    dataFile = path.join(dataDir, 'data.json');
+    fs.writeFileSync(dataFile, JSON.stringify({
+      channels: [{ id: 'ops', name: 'Ops', isPublic: true }],
+      users: { alice: { name: 'Alice' } }
+    }));
+    access = new LocalAccess({ dataFile, tokenVerifier: new LocalTokenVerifier('test-secret') });
+  });
+
+  afterEach(async () => {
+    await access.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps unwritten changes when the file was edited by hand', async () => {
+    await access.saveUserPresence('alice', { presenceStatus: 'busy' });
+    await access.updateChannelMember('ops', 'alice', { role: 'moderator' });
+
+    const edited = readFile();
+    edited.users.alice.name = 'Alice Liddell';
+    edited.users.bob = { name: 'Bob' };
+    edited.channels[0].name = 'Operations';
+    fs.writeFileSync(dataFile, JSON.stringify(edited));
+    access.persistNow();
+
+    const written = readFile();
+    assert.deepEqual(written.users, {
+      alice: { name: 'Alice Liddell', presenceStatus: 'busy' },
+      bob: { name: 'Bob' }
+    });
+    assert.equal(written.channels[0].name, 'Operations');
+    assert.deepEqual(written.channels[0].members, [{ userId: 'alice', role: 'moderator' }]);
+  });
+
+  it('lets hand edits win once the changes were written', async () => {
+    await access.saveUserPresence('alice', { presenceStatus: 'busy' });
+    access.persistNow();
+
+    const edited = readFile();
+    delete edited.users.alice.presenceStatus;
+    fs.writeFileSync(dataFile, JSON.stringify(edited));
+    access.reloadFromFile();
+
+    assert.deepEqual(await access.fetchUserProfile('alice'), { name: 'Alice' });
+  });
+});
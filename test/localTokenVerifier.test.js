@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalTokenVerifier = require('../localTokenVerifier');
+const LocalAccess = require('../localAccess');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+describe('LocalTokenVerifier', () => {
+  const verifier = new LocalTokenVerifier('test-secret');
+
+  it('stamps iat and an expiry on created tokens', async () => {
+    const claims = await verifier.verifyIdToken(verifier.createToken({ uid: 'alice' }));
+    assert.ok(Math.abs(claims.iat - nowSeconds()) <= 1);
+    assert.equal(claims.exp, claims.iat + 3600);
+    assert.equal(claims.sub, 'alice');
+  });
+
+  it('rejects expired and forged tokens', async () => {
+    await assert.rejects(verifier.verifyIdToken(verifier.createToken({ uid: 'alice', exp: nowSeconds() - 1 })), /expired/);
+    const forged = new LocalTokenVerifier('other-secret').createToken({ uid: 'alice' });
+    await assert.rejects(verifier.verifyIdToken(forged), /signature/);
+  });
+
+  it('revokes tokens issued before tokensValidAfter with Firebase error codes', async () => {
+    const access = new LocalAccess({
+      tokenVerifier: verifier,
+      initialData: { users: { alice: { tokensValidAfter: Date.now() + 1000 }, bob: { disabled: true } } }
+    });
+    const token = verifier.createToken({ uid: 'alice' });
+    assert.equal((await access.verifyIdToken(token)).uid, 'alice');
+    await assert.rejects(access.verifyIdToken(token, true), { code: 'auth/id-token-revoked' });
+    await assert.rejects(access.verifyIdToken(verifier.createToken({ uid: 'bob' }), true), { code: 'auth/user-disabled' });
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compareNewestFirst,
+  decodeSearchCursor,
+  encodeSearchCursor,
+  isBeforeCursor,
+  toMessageCursor
+} = require('../messageSearch');
+
+describe('messageSearch cursors', () => {
+  const messages = [
+    { id: 'b', ts: 10 },
+    { id: 'c', ts: 20 },
+    { id: 'a', ts: 10 },
+    { id: 'c', ts: 10 }
+  ];
+
+  it('orders messages newest first, then by id', () => {
+    const ordered = [...messages].sort(compareNewestFirst);
+    assert.deepEqual(ordered.map((message) => `${message.ts}${message.id}`), ['20c', '10c', '10b', '10a']);
+  });
+
+  it('pages through messages sharing a timestamp', () => {
+    const ordered = [...messages].sort(compareNewestFirst);
+    const cursor = decodeSearchCursor(encodeSearchCursor(toMessageCursor(ordered[1])));
+    assert.deepEqual(cursor, { ts: 10, id: 'c' });
+    assert.deepEqual(ordered.filter((message) => isBeforeCursor(message, cursor)), ordered.slice(2));
+  });
+
+  it('treats cursors without an id as a strict timestamp bound', () => {
+    const cursor = decodeSearchCursor(Buffer.from(JSON.stringify({ beforeTs: 20 })).toString('base64url'));
+    assert.equal(messages.filter((message) => isBeforeCursor(message, cursor)).length, 3);
+    assert.equal(decodeSearchCursor('not a cursor'), null);
+  });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CAPABILITIES, DEFAULT_ROLE, hasCapability } = require('../permissions');
+
+describe('hasCapability', () => {
+  const channelDef = { id: 'announcements', rules: { roles: { staff: [CAPABILITIES.READ_HISTORY] } } };
+
+  it('applies channel overrides of the default role', () => {
+    const context = { channelRole: DEFAULT_ROLE, channelDef };
+    assert.equal(hasCapability(context, CAPABILITIES.READ_HISTORY), true);
+    assert.equal(hasCapability(context, CAPABILITIES.SEND_CHAT), false);
+  });
+
+  it('grants global admins every capability whatever their role', () => {
+    const context = { channelRole: DEFAULT_ROLE, isGlobalAdmin: true, channelDef };
+    Object.values(CAPABILITIES).forEach((capability) => {
+      assert.equal(hasCapability(context, capability), true, capability);
+    });
+    assert.equal(hasCapability({ isGlobalAdmin: true, channelDef }, CAPABILITIES.SEND_CHAT), false);
+  });
+});
@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES, validateMessage } = require('../protocol');
+
+describe('validateMessage', () => {
+  it('accepts known message types', () => {
+    assert.equal(validateMessage({ type: 'fetch-history', channelId: 'ops' }), null);
+  });
+
+  it('rejects names inherited from Object.prototype as unknown types', () => {
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'valueOf'].forEach((type) => {
+      const err = validateMessage({ type });
+      assert.equal(err?.code, ERROR_CODES.UNKNOWN_TYPE, type);
+    });
+  });
+});
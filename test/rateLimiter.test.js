@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const rateLimiter = require('../rateLimiter');
+
+const consumeTimes = (count, request) =>
+  Array.from({ length: count }, () => rateLimiter.consume(request)).filter((result) => !result.allowed).length;
+
+describe('rateLimiter', () => {
+  it('limits message types through their own bucket', () => {
+    assert.equal(consumeTimes(10, { subject: 'chat-user', messageType: 'chat' }), 0);
+    assert.equal(consumeTimes(1, { subject: 'chat-user', messageType: 'chat' }), 1);
+    assert.equal(consumeTimes(1, { subject: 'chat-user', messageType: 'typing' }), 0);
+  });
+
+  it('applies the default limit to names that are not message types', () => {
+    assert.deepEqual(rateLimiter.resolveGlobalLimit('roles'), rateLimiter.resolveGlobalLimit('unknown'));
+    assert.deepEqual(rateLimiter.resolveGlobalLimit('constructor'), rateLimiter.resolveGlobalLimit('unknown'));
+    assert.deepEqual(rateLimiter.resolveGlobalLimit('chat', '__proto__'), rateLimiter.resolveGlobalLimit('chat'));
+    assert.equal(consumeTimes(25, { subject: 'roles-user', messageType: 'roles' }), 5);
+  });
+
+  it('uses role limits and channel slow mode', () => {
+    assert.equal(rateLimiter.resolveGlobalLimit('chat', 'admin').capacity, 30);
+    const channelDef = { id: 'slow', rules: { slowModeSeconds: 60 } };
+    const request = { subject: 'slow-user', messageType: 'chat', channelId: 'slow', role: 'staff', channelDef };
+    assert.equal(consumeTimes(2, request), 1);
+  });
+
+  it('exempts roles granting bypass-slow-mode from slow mode', () => {
+    const channelDef = { id: 'slow', rules: { slowModeSeconds: 60, roles: { admin: ['send-chat'] } } };
+    const roleDefinitions = { lead: ['send-chat', 'bypass-slow-mode'] };
+    const request = { messageType: 'chat', channelId: 'slow', channelDef, roleDefinitions };
+    assert.equal(consumeTimes(2, { ...request, subject: 'lead-user', role: 'lead' }), 0);
+    assert.equal(consumeTimes(2, { ...request, subject: 'admin-user', role: 'admin' }), 1);
+    assert.equal(consumeTimes(2, { ...request, subject: 'global-admin', role: 'staff', isGlobalAdmin: true }), 0);
+  });
+});
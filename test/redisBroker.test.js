@@ -0,0 +1,148 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const RedisBroker = require('../redisBroker');
+
+// Two brokers sharing one ioredis-mock keyspace act as two server instances
+const createBrokerPair = async () => {
+  const redis = new RedisMock();
+  const brokers = [0, 1].map(() => new RedisBroker({
+    publisher: redis.duplicate(),
+    subscriber: redis.duplicate(),
+    keyPrefix: 'test:'
+  }));
+  await Promise.all(brokers.map((broker) => broker.start()));
+  return brokers;
+};
+
+const nextEvent = (emitter, eventName) =>
+  new Promise((resolve) => emitter.once(eventName, (...args) => resolve(args)));
+
+const ringingCall = (overrides = {}) => ({
+  callId: 'call-1',
+  channelId: 'ops',
+  state: 'ringing',
+  callerId: 'alice',
+  calleeId: 'bob',
+  calleeConnectionId: null,
+  createdAt: 1000,
+  ...overrides
+});
+
+describe('RedisBroker', () => {
+  let first;
+  let second;
+
+  before(async () => {
+    [first, second] = await createBrokerPair();
+  });
+
+  after(async () => {
+    await Promise.all([first.stop(), second.stop()]);
+  });
+
+  it('delivers channel broadcasts and presence across instances', async () => {
+    const delivered = nextEvent(second, 'channel-message');
+    await first.publishToChannel('ops', { type: 'chat', text: 'hi' }, 'conn-a');
+    assert.deepEqual(await delivered, ['ops', { type: 'chat', text: 'hi' }, 'conn-a']);
+
+    await first.addMember('ops', { connectionId: 'conn-a', userId: 'alice', joinedAt: 1 });
+    await second.addMember('ops', { connectionId: 'conn-b', userId: 'bob', joinedAt: 2 });
+    const members = await first.listMembers('ops');
+    assert.deepEqual(members.map((member) => member.userId), ['alice', 'bob']);
+    assert.equal((await second.findMember('ops', 'alice')).instanceId, first.instanceId);
+  });
+
+  it('does not bring back members removed during an update', async () => {
+    await first.addMember('ghosts', { connectionId: 'conn-g', userId: 'gina', joinedAt: 1 });
+    await Promise.all([
+      first.updateMember('ghosts', 'conn-g', { lastReadSeq: 5 }),
+      second.removeMember('ghosts', 'conn-g')
+    ]);
+    assert.deepEqual(await first.listMembers('ghosts'), []);
+  });
+
+  it('admits concurrent joins only up to the member limit', async () => {
+    const joins = ['conn-1', 'conn-2', 'conn-3', 'conn-4'].map((connectionId, index) =>
+      (index % 2 ? second : first).addMember('small', { connectionId, userId: connectionId, joinedAt: index }, 2)
+    );
+    assert.equal((await Promise.all(joins)).filter(Boolean).length, 2);
+    assert.equal(await first.countMembers('small'), 2);
+    assert.equal(await first.addMember('small', { connectionId: 'conn-9', userId: 'late', joinedAt: 9 }), true);
+  });
+
+  it('sends payloads to a connection on another instance', async () => {
+    const delivered = nextEvent(second, 'connection-message');
+    await first.sendToConnection({ connectionId: 'conn-b', instanceId: second.instanceId }, { type: 'ping' });
+    assert.deepEqual(await delivered, ['conn-b', { type: 'ping' }]);
+  });
+
+  it('keeps every field of concurrent call updates', async () => {
+    assert.equal(await first.claimCall(ringingCall(), 60000), true);
+    assert.equal(await second.claimCall(ringingCall({ callId: 'call-2', callerId: 'carol' }), 60000), false);
+
+    await Promise.all([
+      first.updateCall('call-1', { state: 'active', calleeConnectionId: 'conn-b' }, 60000),
+      second.updateCall('call-1', { answeredAt: 2000 }, 60000)
+    ]);
+    assert.deepEqual(await second.fetchCall('call-1'), ringingCall({
+      state: 'active',
+      calleeConnectionId: 'conn-b',
+      answeredAt: 2000
+    }));
+    assert.equal((await first.fetchUserCall('bob')).callId, 'call-1');
+  });
+
+  it('does not recreate released calls or free newer claims', async () => {
+    await first.releaseCall(ringingCall());
+    assert.equal(await second.updateCall('call-1', { state: 'active' }, 60000), null);
+    assert.equal(await second.fetchCall('call-1'), null);
+
+    assert.equal(await second.claimCall(ringingCall({ callId: 'call-3' }), 60000), true);
+    await first.releaseCall(ringingCall());
+    assert.equal((await first.fetchUserCall('alice')).callId, 'call-3');
+    await first.releaseCall(ringingCall({ callId: 'call-3' }));
+  });
+
+  it('hands each buffered signal out exactly once', async () => {
+    await Promise.all([1, 2, 3].map((n) => first.bufferSignal('ops', 'bob', { n }, 60000)));
+    const [taken, again] = await Promise.all([
+      second.takeBufferedSignals('ops', 'bob'),
+      first.takeBufferedSignals('ops', 'bob')
+    ]);
+    const signals = [...taken.signals, ...again.signals].map((signal) => signal.n).sort();
+    assert.deepEqual(signals, [1, 2, 3]);
+  });
+
+  it('returns the previous presence when swapping it', async () => {
+    assert.equal(await first.swapUserPresence('alice', { status: 'online', lastSeen: 1 }), null);
+    assert.deepEqual(
+      await second.swapUserPresence('alice', { status: 'away', lastSeen: 2 }),
+      { status: 'online', lastSeen: 1 }
+    );
+    assert.deepEqual(await first.fetchUserPresences(['alice', 'nobody']), [
+      { status: 'away', lastSeen: 2 },
+      null
+    ]);
+  });
+
+  it('accepts each upload token once until released', async () => {
+    const reserved = await Promise.all([
+      first.reserveUpload('upload-1', 60000),
+      second.reserveUpload('upload-1', 60000)
+    ]);
+    assert.deepEqual(reserved.sort(), [false, true]);
+    await first.releaseUpload('upload-1');
+    assert.equal(await second.reserveUpload('upload-1', 60000), true);
+  });
+
+  it('removes a room call participant only once', async () => {
+    const participant = { connectionId: 'conn-a', userId: 'alice', joinedAt: 1 };
+    assert.equal(await first.addRoomCallParticipant('ops', participant, 2, 60000), true);
+    const removed = await Promise.all([
+      first.removeRoomCallParticipant('ops', 'conn-a'),
+      second.removeRoomCallParticipant('ops', 'conn-a')
+    ]);
+    assert.deepEqual(removed.filter(Boolean).map((entry) => entry.userId), ['alice']);
+  });
+});
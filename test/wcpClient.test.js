@@ -0,0 +1,97 @@
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// The server reads its configuration when it is loaded, so the local
+// provider and its data file are set up first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wcp-client-test-'));
+// 30 messages, four per millisecond, so history pages end in the middle of a ts
+const storedMessages = Array.from({ length: 30 }, (_, n) => ({
+  id: `m${String(n).padStart(2, '0')}`,
+  seq: n + 1,
+  ts: 1000 + Math.floor(n / 4),
+  userId: 'bob',
+  from: 'Bob',
+  text: `message ${n}`
+}));
+fs.writeFileSync(path.join(dataDir, 'data.json'), JSON.stringify({
+  channels: [{ id: 'ops', name: 'Ops', isPublic: true }],
+  users: { alice: { name: 'Alice' } },
+  channelMessages: { ops: storedMessages },
+  channelSequences: { ops: storedMessages.length }
+}));
+Object.assign(process.env, {
+  STORAGE_PROVIDER: 'local',
+  LOCAL_DATA_FILE: path.join(dataDir, 'data.json'),
+  LOCAL_AUTH_SECRET: 'test-secret',
+  ATTACHMENT_DIR: path.join(dataDir, 'attachments'),
+  LOG_LEVEL: 'error'
+});
+
+const { startServer, stopServer } = require('../server');
+const LocalTokenVerifier = require('../localTokenVerifier');
+const { WcpClient } = require('../client/wcpClient');
+
+const verifier = new LocalTokenVerifier();
+
+const nextEvent = (emitter, eventName) =>
+  new Promise((resolve) => emitter.once(eventName, resolve));
+
+describe('WcpClient', () => {
+  let port;
+  let client;
+
+  before(async () => {
+    port = await startServer(0);
+    client = new WcpClient({
+      url: `ws://localhost:${port}`,
+      WebSocket,
+      getIdToken: async () => verifier.createToken({ uid: 'alice' }),
+      minReconnectDelayMs: 10,
+      maxReconnectDelayMs: 20
+    });
+  });
+
+  after(async () => {
+    client.close();
+    await stopServer();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('connects and joins a channel', async () => {
+    await client.connect();
+    assert.ok(client.isConnected());
+
+    const session = nextEvent(client, 'session');
+    const users = await client.join('ops');
+    assert.deepEqual(users.users.map((user) => user.userId), ['alice']);
+    assert.ok((await session).resumeToken);
+  });
+
+  it('pages history across messages sharing a timestamp', async () => {
+    const ids = [];
+    for await (const messages of client.pageHistory('ops')) {
+      ids.push(...messages.map((message) => message.id));
+    }
+    assert.deepEqual(ids, storedMessages.map((message) => message.id).reverse());
+  });
+
+  it('resumes the session after the connection drops', async () => {
+    const reconnected = nextEvent(client, 'reconnected');
+    client.socket.close(4001, 'Test drop');
+    assert.deepEqual(await reconnected, { resumed: true, channelIds: ['ops'] });
+    assert.ok(client.isConnected());
+  });
+
+  it('joins its channels again when the session cannot be resumed', async () => {
+    const rejoined = nextEvent(client, 'rejoined');
+    const reconnected = nextEvent(client, 'reconnected');
+    client.resumeToken = 'expired-session';
+    client.socket.close(4001, 'Test drop');
+    assert.deepEqual(await rejoined, { channelId: 'ops' });
+    assert.deepEqual(await reconnected, { resumed: false, channelIds: ['ops'] });
+  });
+});